@@ -0,0 +1,148 @@
+/* ===========================================
+   GEM GARDEN - Accessibility
+   ===========================================
+
+   - Announcements: announce() reads a message out
+     through a polite live region. Messages that come in
+     while a move plays out are read together once it
+     settles, so a cascade isn't cut short.
+   - Dialogs: showModal() and hideModal() move focus
+     into a dialog and back to whatever had it before,
+     and Tab stays inside the open dialog. Escape closes
+     a dialog that has a [data-dismiss] button.
+   - High contrast: a flatter, stronger palette with a
+     shape on every gem, so no gem is told apart by its
+     colour alone. It follows the system's contrast
+     setting until the player picks one.
+
+   The board itself is an ARIA grid (see renderBoard()
+   in game.js) driven by the keyboard cursor in input.js.
+
+   =========================================== */
+
+const ANNOUNCE_DELAY = 500;  // ms of quiet before queued messages are read
+const CONTRAST_STORAGE_KEY = 'gemGardenHighContrast';
+const FOCUSABLE = 'button, select, input, textarea, [tabindex]:not([tabindex="-1"])';
+
+let pendingAnnouncements = [];
+let announceTimeout = null;
+let modalOpener = null;  // What had focus before the open dialog
+
+const announcerEl = document.getElementById('announcer');
+const contrastToggle = document.getElementById('contrast-toggle');
+
+// ===========================================
+// ANNOUNCEMENTS
+// ===========================================
+
+function announce(message) {
+    pendingAnnouncements.push(message);
+    clearTimeout(announceTimeout);
+    announceTimeout = setTimeout(flushAnnouncements, ANNOUNCE_DELAY);
+}
+
+function flushAnnouncements() {
+    announceTimeout = null;
+    // Emptying the region first makes a repeated message count as new
+    announcerEl.textContent = '';
+    const message = pendingAnnouncements.join(' ');
+    pendingAnnouncements = [];
+    setTimeout(() => {
+        announcerEl.textContent = message;
+    }, 50);
+}
+
+// ===========================================
+// DIALOGS
+// ===========================================
+
+function showModal(modal) {
+    if (!modal.contains(document.activeElement)) {
+        modalOpener = document.activeElement;
+    }
+    modal.classList.remove('hidden');
+
+    const [first] = focusableIn(modal);
+    (first || modal.querySelector('.modal')).focus();
+}
+
+function hideModal(modal) {
+    const hadFocus = modal.contains(document.activeElement);
+    modal.classList.add('hidden');
+
+    if (hadFocus) {
+        const opener = modalOpener && document.contains(modalOpener) ? modalOpener : boardElement;
+        opener.focus();
+    }
+}
+
+function focusableIn(modal) {
+    return [...modal.querySelectorAll(FOCUSABLE)].filter(element =>
+        !element.disabled && !element.hidden && !element.closest('[hidden]') && element.style.display !== 'none');
+}
+
+function currentModal() {
+    return [...document.querySelectorAll('.modal-overlay')].find(modal => !modal.classList.contains('hidden'));
+}
+
+function handleModalKey(event) {
+    const modal = currentModal();
+    if (!modal) return;
+
+    if (event.key === 'Escape') {
+        const dismiss = modal.querySelector('[data-dismiss]');
+        if (dismiss) dismiss.click();
+    } else if (event.key === 'Tab') {
+        const focusable = focusableIn(modal);
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && (document.activeElement === first || !modal.contains(document.activeElement))) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (document.activeElement === last || !modal.contains(document.activeElement))) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// ===========================================
+// HIGH CONTRAST
+// ===========================================
+
+function setHighContrast(on) {
+    document.body.classList.toggle('high-contrast', on);
+    contrastToggle.checked = on;
+}
+
+function loadHighContrast() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(CONTRAST_STORAGE_KEY);
+    } catch (e) {
+        console.warn('Could not load contrast setting:', e);
+    }
+    const systemPrefers = Boolean(window.matchMedia) && window.matchMedia('(prefers-contrast: more)').matches;
+    setHighContrast(saved === null ? systemPrefers : saved === 'true');
+}
+
+function toggleHighContrast() {
+    const on = !document.body.classList.contains('high-contrast');
+    setHighContrast(on);
+    announce(on ? 'High contrast on' : 'High contrast off');
+    try {
+        localStorage.setItem(CONTRAST_STORAGE_KEY, String(on));
+    } catch (e) {
+        console.warn('Could not save contrast setting:', e);
+    }
+}
+
+// ===========================================
+// EVENT LISTENERS
+// ===========================================
+
+document.addEventListener('keydown', handleModalKey);
+contrastToggle.addEventListener('change', toggleHighContrast);
+loadHighContrast();
@@ -0,0 +1,484 @@
+/* ===========================================
+   GEM GARDEN - Canvas Renderer
+   ===========================================
+
+   An optional way to draw the board, picked at startup
+   with ?renderer=canvas or CONFIG.RENDERER. It is fed
+   the same board state and engine events as the DOM
+   board in game.js:
+
+     renderer.reset({ rows, cols, isVoid })  a new board
+     renderer.setBoard(board, ice)           what to show
+     renderer.playEvent(event)               animate one step
+     renderer.destroy()                      stop, before it's dropped
+
+   The gems are drawn on a canvas under the board's
+   cells. The cells stay where they are, see-through,
+   so clicks, the keyboard cursor, screen readers and
+   highlights work as before.
+
+   On top of what the DOM board shows it has sprite gem
+   art (one frame per gem type, falling back to
+   GEM_SYMBOLS until the sheet loads), particle bursts
+   on matches and a screen shake on big cascades.
+
+   =========================================== */
+
+const CANVAS_GEM_COLORS = ['#e74c3c', '#3498db', '#00b894', '#fdcb6e', '#6c5ce7', '#e17055'];
+const CANVAS_CONTRAST_COLORS = ['#d55e00', '#0072b2', '#009e73', '#f0e442', '#cc79a7', '#e69f00'];  // As .high-contrast in style.css
+const PARTICLES_PER_GEM = 8;
+const PARTICLE_LIFE = 700;  // ms
+const SHAKE_CASCADE = 3;  // Cascade step from which the board shakes
+const SHAKE_TIME = 400;  // ms
+
+/**
+ * Creates a canvas renderer. Options:
+ * - layout():   where the cells are, { x, y, size, pitch } in
+ *               CSS pixels from the board's top left
+ * - durations(): { swap, step } in ms, matching game.js's delays
+ * - sprites:    { src, size } of a sheet with one square frame
+ *               per gem type, or null to draw GEM_SYMBOLS
+ * - symbols:    { stone, ingredient, marks } to draw
+ * - highContrast(): whether to draw flat colours and marks
+ * Returns null if the browser can't draw on a canvas.
+ */
+function createCanvasRenderer({ layout, durations, sprites, symbols, highContrast }) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'board-canvas';
+    canvas.setAttribute('aria-hidden', 'true');
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx) return null;
+
+    let rows = 0;
+    let cols = 0;
+    let isVoid = () => false;
+    let tiles = [];  // tiles[row][col]: { gem, key, motion, grow, shake }
+    let ice = [];
+    let ghosts = [];  // Gems on their way out: { gem, row, col, start, kind }
+    let particles = [];
+    let boardShake = null;  // { start, strength }
+    let frame = null;
+    let cell = { x: 0, y: 0, size: 0, pitch: 0 };  // This frame's layout()
+
+    const sheet = new Image();
+    let sheetReady = false;
+    if (sprites) {
+        sheet.onload = () => {
+            sheetReady = true;
+            requestDraw();
+        };
+        sheet.src = sprites.src;
+    }
+
+    // A new size or theme needs a fresh frame
+    window.addEventListener('resize', requestDraw);
+    const themeObserver = new MutationObserver(requestDraw);
+    themeObserver.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+
+    // ===========================================
+    // BOARD STATE
+    // ===========================================
+
+    function reset(board) {
+        rows = board.rows;
+        cols = board.cols;
+        isVoid = board.isVoid;
+        tiles = Array.from({ length: rows }, () => Array.from({ length: cols }, () => createTile(EMPTY)));
+        ice = tiles.map(line => line.map(() => 0));
+        ghosts = [];
+        particles = [];
+        boardShake = null;
+        requestDraw();
+    }
+
+    // Lets go of the page, so a dropped renderer stops drawing
+    function destroy() {
+        window.removeEventListener('resize', requestDraw);
+        themeObserver.disconnect();
+        sheet.onload = null;
+        if (frame !== null) cancelAnimationFrame(frame);
+        frame = null;
+        rows = 0;
+        canvas.remove();
+    }
+
+    function createTile(gem) {
+        return { gem, key: JSON.stringify(gem), motion: null, grow: null, shake: null };
+    }
+
+    // Cells that show something new are replaced; the rest keep any animation they have
+    function setBoard(board, iceLayers) {
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                if (tiles[row][col].key !== JSON.stringify(board[row][col])) {
+                    tiles[row][col] = createTile(board[row][col]);
+                }
+            }
+        }
+        ice = iceLayers.map(line => line.slice());
+        requestDraw();
+    }
+
+    // ===========================================
+    // EVENTS
+    // ===========================================
+
+    function playEvent(event) {
+        const now = performance.now();
+        const { swap, step } = durations();
+
+        if (event.type === 'match') {
+            for (const { row, col, gem } of event.cells) addGhost(gem, row, col, now, 'pop');
+            for (const { row, col } of event.stones) addGhost(tiles[row][col].gem, row, col, now, 'pop');
+            for (const { row, col } of event.triggered) burst(row, col, '#ffffff', PARTICLES_PER_GEM * 3, 2);
+            if (event.combo || event.cascade >= SHAKE_CASCADE) {
+                boardShake = { start: now, strength: event.combo ? 10 : Math.min(2 * event.cascade, 12) };
+            }
+        } else if (event.type === 'ingredient') {
+            for (const { row, col } of event.cells) addGhost(tiles[row][col].gem, row, col, now, 'sink');
+        }
+
+        if (event.board) setBoard(event.board, event.ice);
+
+        switch (event.type) {
+            case 'swap':
+                slide(event.from, event.to, now, swap);
+                slide(event.to, event.from, now, swap);
+                break;
+
+            case 'revert':
+                // Shakes where the swap left the gems, then slides them back
+                slide(event.from, event.to, now + step, swap);
+                slide(event.to, event.from, now + step, swap);
+                shakeTile(event.from, now, step);
+                shakeTile(event.to, now, step);
+                break;
+
+            case 'blocked':
+                shakeTile(event.from, now, step);
+                shakeTile(event.to, now, step);
+                break;
+
+            case 'match':
+                // New specials appear once the matched gems have popped
+                for (const { row, col } of event.specials) {
+                    tiles[row][col].grow = { start: now + step, duration: step };
+                }
+                break;
+
+            case 'gravity':
+                for (const { from, to } of event.moves) slide(to, from, now, step);
+                break;
+
+            case 'refill':
+                for (const { row, col } of event.cells) {
+                    const drop = event.cells.filter(cell => cell.col === col).length;
+                    slide({ row, col }, { row: row - drop, col }, now, step, true);
+                }
+                break;
+
+            case 'shuffle':
+                tiles.forEach(line => line.forEach(tile => {
+                    tile.grow = { start: now, duration: step };
+                }));
+                break;
+
+            case 'blockers':
+                for (const { row, col } of event.stones) {
+                    slide({ row, col }, { row: row - 1, col }, now, step, true);
+                }
+                break;
+        }
+        requestDraw();
+    }
+
+    function slide(to, from, start, duration, fade = false) {
+        tiles[to.row][to.col].motion = { fromRow: from.row, fromCol: from.col, start, duration, fade };
+    }
+
+    function shakeTile({ row, col }, start, duration) {
+        tiles[row][col].shake = { start, duration };
+    }
+
+    function addGhost(gem, row, col, start, kind) {
+        if (gem === EMPTY) return;
+        ghosts.push({ gem, row, col, start, kind });
+        burst(row, col, gemColor(gem), PARTICLES_PER_GEM, 1);
+    }
+
+    function burst(row, col, color, count, speed) {
+        const start = performance.now();
+        for (let i = 0; i < count; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const velocity = (0.05 + Math.random() * 0.15) * speed;  // Cells per 100ms
+            particles.push({
+                row: row + 0.5,
+                col: col + 0.5,
+                vx: Math.cos(angle) * velocity,
+                vy: Math.sin(angle) * velocity - 0.1,
+                color,
+                start,
+                size: 0.06 + Math.random() * 0.06
+            });
+        }
+    }
+
+    // ===========================================
+    // DRAWING
+    // ===========================================
+
+    function requestDraw() {
+        if (frame === null) {
+            frame = requestAnimationFrame(draw);
+        }
+    }
+
+    function draw(now) {
+        frame = null;
+        if (rows === 0) return;
+
+        cell = layout();
+        const { size } = cell;
+        const dpr = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
+        }
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        let busy = false;
+        if (boardShake) {
+            const p = (now - boardShake.start) / SHAKE_TIME;
+            if (p < 1) {
+                const strength = boardShake.strength * (1 - p);
+                ctx.translate((Math.random() * 2 - 1) * strength, (Math.random() * 2 - 1) * strength);
+                busy = true;
+            } else {
+                boardShake = null;
+            }
+        }
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                if (isVoid(row, col)) continue;
+                if (drawTile(row, col, now)) busy = true;
+
+                // Frost over whatever is frozen in the cell
+                if (ice[row][col] > 0) {
+                    ctx.fillStyle = `rgba(200, 240, 255, ${0.1 + 0.1 * ice[row][col]})`;
+                    roundedRect(cellX(col), cellY(row), size, size, size * 0.15);
+                    ctx.fill();
+                }
+            }
+        }
+
+        ghosts = ghosts.filter(ghost => {
+            const p = (now - ghost.start) / durations().step;
+            if (p >= 1) return false;
+            if (ghost.kind === 'sink') {
+                drawGem(ghost.gem, cellX(ghost.col), cellY(ghost.row + p * 0.5), size, 1 - p, 1);
+            } else {
+                // Swells, then shrinks away
+                const scale = p < 0.5 ? 1 + p * 0.6 : 1.3 * (1 - p) * 2;
+                drawGem(ghost.gem, cellX(ghost.col), cellY(ghost.row), size, 1 - p * 0.5, scale);
+            }
+            return true;
+        });
+
+        particles = particles.filter(particle => {
+            const age = now - particle.start;
+            if (age >= PARTICLE_LIFE) return false;
+            const t = age / 100;
+            const px = cellX(particle.col + particle.vx * t);
+            const py = cellY(particle.row + particle.vy * t + 0.02 * t * t);
+            ctx.globalAlpha = 1 - age / PARTICLE_LIFE;
+            ctx.fillStyle = particle.color;
+            ctx.beginPath();
+            ctx.arc(px, py, particle.size * size, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            return true;
+        });
+
+        if (busy || ghosts.length > 0 || particles.length > 0) {
+            requestDraw();
+        }
+    }
+
+    // Draws one cell's gem; returns whether it is still moving
+    function drawTile(row, col, now) {
+        const tile = tiles[row][col];
+        if (tile.gem === EMPTY) return false;
+
+        let busy = false;
+        let drawRow = row;
+        let drawCol = col;
+        let alpha = 1;
+        let scale = 1;
+        if (tile.motion) {
+            const p = progress(tile.motion, now);
+            const eased = p * p;
+            drawRow = tile.motion.fromRow + (row - tile.motion.fromRow) * eased;
+            drawCol = tile.motion.fromCol + (col - tile.motion.fromCol) * eased;
+            if (tile.motion.fade) alpha = p;
+            if (p < 1) {
+                busy = true;
+            } else {
+                tile.motion = null;
+            }
+        }
+        if (tile.grow) {
+            scale = progress(tile.grow, now);
+            if (scale < 1) {
+                busy = true;
+            } else {
+                tile.grow = null;
+            }
+        }
+        let offset = 0;
+        if (tile.shake) {
+            const p = progress(tile.shake, now);
+            offset = Math.sin(p * Math.PI * 4) * cell.size * 0.08;
+            if (p < 1) {
+                busy = true;
+            } else {
+                tile.shake = null;
+            }
+        }
+
+        drawGem(tile.gem, cellX(drawCol) + offset, cellY(drawRow), cell.size, alpha, scale);
+        return busy;
+    }
+
+    // Where a cell, or part of one, is on the canvas
+    function cellX(col) {
+        return cell.x + col * cell.pitch;
+    }
+
+    function cellY(row) {
+        return cell.y + row * cell.pitch;
+    }
+
+    function progress({ start, duration }, now) {
+        return Math.min(Math.max((now - start) / duration, 0), 1);
+    }
+
+    function drawGem(gem, x, y, size, alpha, scale) {
+        if (scale <= 0) return;
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.translate(x + size / 2, y + size / 2);
+        ctx.scale(scale, scale);
+        const half = size / 2;
+
+        if (gem.blocker === BLOCKER.STONE) {
+            ctx.fillStyle = '#7f8c8d';
+            roundedRect(-half, -half, size, size, size * 0.15);
+            ctx.fill();
+            drawSymbol(symbols.stone, size);
+        } else if (gem.ingredient) {
+            drawSymbol(symbols.ingredient, size);
+        } else if (gem.special === SPECIAL.COLOR_BOMB) {
+            CANVAS_GEM_COLORS.forEach((color, index) => {
+                const slice = (Math.PI * 2) / CANVAS_GEM_COLORS.length;
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.moveTo(0, 0);
+                ctx.arc(0, 0, half * 0.85, index * slice, (index + 1) * slice);
+                ctx.fill();
+            });
+            ctx.fillStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(0, 0, half * 0.3, 0, Math.PI * 2);
+            ctx.fill();
+        } else {
+            drawColoredGem(gem.color, size);
+            drawSpecial(gem.special, size);
+        }
+
+        if (gem.locked) {
+            ctx.strokeStyle = 'rgba(99, 110, 114, 0.9)';
+            ctx.lineWidth = size * 0.08;
+            ctx.beginPath();
+            ctx.moveTo(-half * 0.8, -half * 0.8);
+            ctx.lineTo(half * 0.8, half * 0.8);
+            ctx.moveTo(half * 0.8, -half * 0.8);
+            ctx.lineTo(-half * 0.8, half * 0.8);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    function drawColoredGem(color, size) {
+        const half = size / 2;
+        if (highContrast()) {
+            ctx.fillStyle = CANVAS_CONTRAST_COLORS[color];
+            roundedRect(-half, -half, size, size, size * 0.15);
+            ctx.fill();
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.fillStyle = '#000000';
+            drawSymbol(symbols.marks[color], size * 0.8);
+        } else if (sheetReady) {
+            ctx.drawImage(sheet, color * sprites.size, 0, sprites.size, sprites.size, -half, -half, size, size);
+        } else {
+            ctx.fillStyle = CANVAS_GEM_COLORS[color];
+            roundedRect(-half, -half, size, size, size * 0.15);
+            ctx.fill();
+            drawSymbol(GEM_SYMBOLS[color], size);
+        }
+    }
+
+    function drawSpecial(special, size) {
+        const half = size / 2;
+        ctx.shadowColor = 'rgba(255, 255, 255, 0.9)';
+        ctx.shadowBlur = size * 0.15;
+        if (special === SPECIAL.LINE_H || special === SPECIAL.LINE_V) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            const long = size * 0.9;
+            const short = size * 0.14;
+            if (special === SPECIAL.LINE_H) {
+                ctx.fillRect(-long / 2, -short / 2, long, short);
+            } else {
+                ctx.fillRect(-short / 2, -long / 2, short, long);
+            }
+        } else if (special === SPECIAL.BOMB) {
+            ctx.strokeStyle = '#ffd700';
+            ctx.lineWidth = size * 0.08;
+            ctx.beginPath();
+            ctx.arc(0, 0, half * 0.85, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.shadowBlur = 0;
+    }
+
+    function drawSymbol(symbol, size) {
+        ctx.font = `${Math.round(size * 0.6)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(symbol, 0, size * 0.04);
+    }
+
+    function roundedRect(x, y, width, height, radius) {
+        ctx.beginPath();
+        ctx.moveTo(x + radius, y);
+        ctx.arcTo(x + width, y, x + width, y + height, radius);
+        ctx.arcTo(x + width, y + height, x, y + height, radius);
+        ctx.arcTo(x, y + height, x, y, radius);
+        ctx.arcTo(x, y, x + width, y, radius);
+        ctx.closePath();
+    }
+
+    function gemColor(gem) {
+        if (gem.blocker === BLOCKER.STONE) return '#95a5a6';
+        if (gem.ingredient) return '#a0522d';
+        if (gem.color === null) return '#ffffff';
+        return (highContrast() ? CANVAS_CONTRAST_COLORS : CANVAS_GEM_COLORS)[gem.color];
+    }
+
+    return { canvas, reset, setBoard, playEvent, destroy };
+}
@@ -0,0 +1,382 @@
+/* ===========================================
+   GEM GARDEN - Level Editor
+   ===========================================
+
+   Builds a level in the LEVELS format: the fields,
+   goals and star thresholds come from the form and the
+   layout is painted cell by cell. A level can be played
+   straight away with the normal game loop (nothing is
+   saved while testing) and exported or imported as the
+   JSON of one LEVELS entry.
+
+   =========================================== */
+
+const EDITOR_PAINTS = [
+    { code: LAYOUT_CODES.PLAIN, label: 'Gem', symbol: '💎' },
+    { code: LAYOUT_CODES.VOID, label: 'Void', symbol: '' },
+    { code: LAYOUT_CODES.STONE, label: 'Stone', symbol: STONE_SYMBOL },
+    { code: LAYOUT_CODES.LOCKED, label: 'Locked', symbol: '🔗' },
+    { code: '1', label: 'Ice 1', symbol: '🧊' },
+    { code: '2', label: 'Ice 2', symbol: '🧊' },
+    { code: '3', label: 'Ice 3', symbol: '🧊' }
+];
+
+// Fields the form edits; anything else on an imported level is kept as it is
+const EDITOR_FIELDS = [
+    'id', 'name', 'description', 'moves', 'timeLimit', 'goals', 'starThresholds',
+    'seed', 'layout', 'rows', 'cols'
+];
+
+// ===========================================
+// EDITOR STATE
+// ===========================================
+
+let editorLayout = [];  // Layout codes, one array per row
+let editorExtras = {};  // Fields of an imported level the form doesn't cover
+let editorPaint = LAYOUT_CODES.PLAIN;
+let isPainting = false;
+let editorStarted = false;
+
+const editorGoalsEl = document.getElementById('editor-goals');
+const editorBoardEl = document.getElementById('editor-board');
+const editorErrorsEl = document.getElementById('editor-errors');
+const editorJsonEl = document.getElementById('editor-json');
+
+function editorInput(name) {
+    return document.getElementById(`editor-${name}`);
+}
+
+function newEditorLevel() {
+    return {
+        id: currentPack.levels.length + 1,
+        name: 'New Level',
+        description: 'A brand new level!',
+        moves: 20,
+        goals: [{ type: 'score', target: 1000 }],
+        starThresholds: [1000, 2000, 3000]
+    };
+}
+
+// ===========================================
+// OPENING & CLOSING
+// ===========================================
+
+function openLevelEditor() {
+    if (!editorStarted) {
+        fillEditorForm(newEditorLevel());
+        renderEditorPalette();
+        editorStarted = true;
+    }
+    hideAllModals();
+    showModal(levelEditorModal);
+}
+
+function closeLevelEditor() {
+    hideModal(levelEditorModal);
+}
+
+// ===========================================
+// FORM <-> LEVEL
+// ===========================================
+
+function fillEditorForm(level) {
+    const { rows, cols } = boardSize(level);
+    const thresholds = level.starThresholds || [];
+
+    editorInput('id').value = level.id ?? '';
+    editorInput('name').value = level.name ?? '';
+    editorInput('description').value = level.description ?? '';
+    editorInput('moves').value = level.moves ?? '';
+    editorInput('time-limit').value = level.timeLimit ?? '';
+    editorInput('seed').value = level.seed ?? '';
+    [1, 2, 3].forEach(stars => {
+        editorInput(`star-${stars}`).value = thresholds[stars - 1] ?? '';
+    });
+    editorInput('rows').value = rows;
+    editorInput('cols').value = cols;
+
+    editorGoalsEl.innerHTML = '';
+    normalizeGoals(level.goals).forEach(goal => editorGoalsEl.appendChild(createGoalRow(goal)));
+
+    editorLayout = Array.from({ length: rows }, (_, row) =>
+        Array.from({ length: cols }, (_, col) => (level.layout && level.layout[row] && level.layout[row][col]) || LAYOUT_CODES.PLAIN));
+    renderEditorBoard();
+
+    editorExtras = {};
+    for (const [key, value] of Object.entries(level)) {
+        if (!EDITOR_FIELDS.includes(key)) editorExtras[key] = value;
+    }
+    showEditorErrors([]);
+}
+
+// The level as it would appear in LEVELS; empty optional fields are left out
+function readEditorForm() {
+    const numberValue = name => editorInput(name).value === '' ? undefined : Number(editorInput(name).value);
+    const timeLimit = numberValue('time-limit');
+    const layout = editorLayout.map(row => row.join(''));
+    const hasLayout = layout.some(line => /[^.]/.test(line));
+    const { rows, cols } = ENGINE_DEFAULTS;
+
+    const level = {
+        id: numberValue('id'),
+        name: editorInput('name').value,
+        description: editorInput('description').value,
+        moves: timeLimit === undefined ? numberValue('moves') : undefined,
+        timeLimit,
+        goals: [...editorGoalsEl.children].map(readGoalRow),
+        starThresholds: [1, 2, 3].map(stars => numberValue(`star-${stars}`)),
+        seed: numberValue('seed'),
+        layout: hasLayout ? layout : undefined,
+        rows: !hasLayout && editorLayout.length !== rows ? editorLayout.length : undefined,
+        cols: !hasLayout && editorLayout[0].length !== cols ? editorLayout[0].length : undefined,
+        ...editorExtras
+    };
+
+    for (const key of Object.keys(level)) {
+        if (level[key] === undefined) delete level[key];
+    }
+    return level;
+}
+
+// ===========================================
+// GOALS
+// ===========================================
+
+function createGoalRow(goal) {
+    const row = document.createElement('div');
+    row.className = 'editor-goal';
+
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'editor-goal-type';
+    for (const type of Object.keys(GOAL_TYPES)) {
+        typeSelect.add(new Option(type, type, false, type === goal.type));
+    }
+    typeSelect.addEventListener('change', () => {
+        row.replaceWith(createGoalRow({ type: typeSelect.value }));
+    });
+    row.appendChild(typeSelect);
+
+    const goalType = GOAL_TYPES[goal.type] || GOAL_TYPES.score;
+    for (const param of [...goalType.params, ...(goalType.optional || [])]) {
+        row.appendChild(createGoalParamInput(param, goal[param]));
+    }
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'editor-remove';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove goal';
+    removeBtn.addEventListener('click', () => row.remove());
+    row.appendChild(removeBtn);
+
+    return row;
+}
+
+function createGoalParamInput(param, value) {
+    let input;
+    if (param === 'gem') {
+        input = document.createElement('select');
+        GEM_NAMES.forEach((name, gem) => input.add(new Option(`${GEM_SYMBOLS[gem]} ${name}`, gem, false, gem === value)));
+    } else if (param === 'special') {
+        input = document.createElement('select');
+        input.add(new Option('any special', ''));
+        for (const special of Object.keys(SPECIAL_GOAL_ICONS)) {
+            input.add(new Option(special, special, false, special === value));
+        }
+    } else {
+        input = document.createElement('input');
+        input.type = 'number';
+        input.min = 1;
+        input.placeholder = param;
+        input.value = value ?? '';
+    }
+    input.dataset.param = param;
+    input.title = param;
+    return input;
+}
+
+function readGoalRow(row) {
+    const goal = { type: row.querySelector('.editor-goal-type').value };
+    for (const input of row.querySelectorAll('[data-param]')) {
+        if (input.value === '') continue;
+        goal[input.dataset.param] = input.dataset.param === 'special' ? input.value : Number(input.value);
+    }
+    return goal;
+}
+
+// ===========================================
+// LAYOUT PAINTING
+// ===========================================
+
+function renderEditorPalette() {
+    const palette = document.getElementById('editor-palette');
+    palette.innerHTML = '';
+
+    for (const paint of EDITOR_PAINTS) {
+        const btn = document.createElement('button');
+        btn.className = `editor-paint editor-code-${paintClass(paint.code)}`;
+        btn.classList.toggle('active', paint.code === editorPaint);
+        btn.textContent = `${paint.symbol} ${paint.label}`;
+        btn.addEventListener('click', () => {
+            editorPaint = paint.code;
+            renderEditorPalette();
+        });
+        palette.appendChild(btn);
+    }
+}
+
+function renderEditorBoard() {
+    const rows = editorLayout.length;
+    const cols = editorLayout[0].length;
+    editorBoardEl.innerHTML = '';
+    editorBoardEl.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
+    editorBoardEl.style.aspectRatio = `${cols} / ${rows}`;
+
+    editorLayout.forEach((line, row) => {
+        line.forEach((code, col) => {
+            const cell = document.createElement('div');
+            cell.dataset.row = row;
+            cell.dataset.col = col;
+            applyEditorCell(cell, code);
+            editorBoardEl.appendChild(cell);
+        });
+    });
+}
+
+function paintCell(cell) {
+    editorLayout[cell.dataset.row][cell.dataset.col] = editorPaint;
+    applyEditorCell(cell, editorPaint);
+}
+
+// A touch keeps sending its events to the cell it started on, so the
+// cell under a drag is found from where the pointer is
+function editorCellAt(event) {
+    const target = document.elementFromPoint(event.clientX, event.clientY);
+    const cell = target && target.closest('.editor-cell');
+    return cell && editorBoardEl.contains(cell) ? cell : null;
+}
+
+function applyEditorCell(cell, code) {
+    const paint = EDITOR_PAINTS.find(p => p.code === code);
+    cell.className = `editor-cell editor-code-${paintClass(code)}`;
+    cell.textContent = paint ? paint.symbol : code;
+}
+
+// '#' and '.' aren't usable in class names
+function paintClass(code) {
+    return { [LAYOUT_CODES.PLAIN]: 'plain', [LAYOUT_CODES.VOID]: 'void' }[code] || code;
+}
+
+// Keeps the painted cells that still fit the new size
+function resizeEditorBoard() {
+    const rows = Number(editorInput('rows').value);
+    const cols = Number(editorInput('cols').value);
+    if (!(rows > 0 && cols > 0)) return;
+
+    editorLayout = Array.from({ length: rows }, (_, row) =>
+        Array.from({ length: cols }, (_, col) => (editorLayout[row] && editorLayout[row][col]) || LAYOUT_CODES.PLAIN));
+    renderEditorBoard();
+}
+
+// ===========================================
+// TEST, EXPORT & IMPORT
+// ===========================================
+
+function showEditorErrors(errors) {
+    editorErrorsEl.innerHTML = '';
+    for (const error of errors) {
+        const item = document.createElement('li');
+        item.textContent = error.path ? `${error.path}: ${error.message}` : error.message;
+        editorErrorsEl.appendChild(item);
+    }
+}
+
+// Shows any problems with the level; true if there are none
+function checkEditorLevel(level) {
+    const errors = validateLevel(level);
+    showEditorErrors(errors);
+    return errors.length === 0;
+}
+
+function playTestLevel() {
+    const level = readEditorForm();
+    if (!checkEditorLevel(level)) return;
+    playLevel(level, undefined, { test: true });
+}
+
+function exportEditorLevel() {
+    const level = readEditorForm();
+    checkEditorLevel(level);
+    editorJsonEl.value = JSON.stringify(level, null, 4);
+    editorJsonEl.select();
+
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(editorJsonEl.value).catch(() => {});
+    }
+}
+
+function importEditorLevel() {
+    let level;
+    try {
+        level = JSON.parse(editorJsonEl.value);
+    } catch (e) {
+        showEditorErrors([{ path: '', message: `Not valid JSON: ${e.message}` }]);
+        return;
+    }
+    if (!level || typeof level !== 'object' || Array.isArray(level)) {
+        showEditorErrors([{ path: '', message: 'Paste a single level object' }]);
+        return;
+    }
+
+    // The form can't hold a level whose size, layout, board or goals are broken
+    let errors;
+    try {
+        errors = validateLevel(level);
+    } catch (e) {
+        showEditorErrors([{ path: '', message: `Couldn't check this level: ${e.message}` }]);
+        return;
+    }
+    if (errors.some(error => isEditorShapeError(level, error.path))) {
+        showEditorErrors([{ path: '', message: "Can't load this level into the editor:" }, ...errors]);
+        return;
+    }
+    fillEditorForm(level);
+    checkEditorLevel(readEditorForm());
+}
+
+// Problems with a field the form is built from, not just a value in it
+function isEditorShapeError(level, path) {
+    if (path === 'goals') return !Array.isArray(level.goals);  // An empty list is fine
+    return /^(rows|cols|layout|board)(\[|$)/.test(path) || /^goals\[\d+\](\.type)?$/.test(path);
+}
+
+// ===========================================
+// EVENT LISTENERS
+// ===========================================
+
+document.getElementById('open-editor-btn').addEventListener('click', openLevelEditor);
+editLevelBtn.addEventListener('click', openLevelEditor);
+document.getElementById('editor-close-btn').addEventListener('click', closeLevelEditor);
+document.getElementById('editor-add-goal-btn').addEventListener('click', () => {
+    editorGoalsEl.appendChild(createGoalRow({ type: 'score' }));
+});
+document.getElementById('editor-play-btn').addEventListener('click', playTestLevel);
+document.getElementById('editor-export-btn').addEventListener('click', exportEditorLevel);
+document.getElementById('editor-import-btn').addEventListener('click', importEditorLevel);
+editorInput('rows').addEventListener('change', resizeEditorBoard);
+editorInput('cols').addEventListener('change', resizeEditorBoard);
+editorBoardEl.addEventListener('pointerdown', event => {
+    const cell = event.target.closest('.editor-cell');
+    if (event.button !== 0 || !cell) return;
+    isPainting = true;
+    paintCell(cell);
+});
+editorBoardEl.addEventListener('pointermove', event => {
+    const cell = isPainting && editorCellAt(event);
+    if (cell) paintCell(cell);
+});
+window.addEventListener('pointerup', () => {
+    isPainting = false;
+});
+window.addEventListener('pointercancel', () => {
+    isPainting = false;
+});
@@ -0,0 +1,1217 @@
+/* ===========================================
+   GEM GARDEN - Match 3 Rules Engine
+   The board rules, with no DOM access, for the
+   browser and Node alike
+   =========================================== */
+
+// rng.js is loaded as a global script in the browser
+const { createRng: createEngineRng } = typeof module !== 'undefined' && module.exports
+    ? require('./rng.js')
+    : { createRng };
+
+const ENGINE_DEFAULTS = {
+    rows: 8,
+    cols: 8,
+    numGemTypes: 6,
+    pointsPerGem: 10,
+    refill: true  // false leaves cleared cells empty, for looking ahead
+};
+
+const GEM_SYMBOLS = ['💎', '🔷', '💚', '⭐', '🔮', '🧡'];
+const GEM_NAMES = ['Ruby', 'Sapphire', 'Emerald', 'Topaz', 'Amethyst', 'Citrine'];
+const GEM_CODES = ['R', 'B', 'G', 'Y', 'P', 'O'];  // Gem types in a level's board and drops
+
+// A gem's `special`, or null for a plain gem:
+// - lineH / lineV: from a match of 4; clears its row / column
+// - bomb: from an L or T shape; clears the 3x3 area around it
+// - colorBomb: from a match of 5; has no colour and clears every
+//   gem of the colour it is swapped with
+const SPECIAL = {
+    LINE_H: 'lineH',
+    LINE_V: 'lineV',
+    BOMB: 'bomb',
+    COLOR_BOMB: 'colorBomb'
+};
+
+// Two specials swapped together: line + line clears the row and
+// column, bomb + line a line three cells wide, bomb + bomb a 5x5
+// area; a colour bomb turns every gem of its partner's colour
+// into the partner's special, or with another clears the board
+const COMBO = {
+    CROSS: 'cross',
+    WIDE_LINE: 'wideLine',
+    BIG_BOMB: 'bigBomb',
+    CONVERT: 'convert',
+    CLEAR_BOARD: 'clearBoard'
+};
+
+const BLOCKER = {
+    STONE: 'stone'
+};
+
+// A level's `layout` has one character per cell, besides '1'-'3'
+// for that many layers of ice under the gem (each clear on the
+// cell breaks one). A void is no cell at all: gems fall past it
+// and matches can't cross it. A stone has no gem and breaks when
+// a match happens next to it; a locked gem can't be swapped and
+// its first match only breaks the lock.
+const LAYOUT_CODES = {
+    PLAIN: '.',
+    VOID: '#',
+    STONE: 'S',
+    LOCKED: 'L'
+};
+
+const MAX_ICE_LAYERS = 3;
+const MAX_SHUFFLE_ATTEMPTS = 100;
+const MAX_INGREDIENTS_ON_BOARD = 2;
+const INGREDIENT_SPAWN_CHANCE = 0.15;
+
+const EMPTY = null;  // A cell waiting to be refilled
+
+/**
+ * Creates an engine that owns its own grid and stats; game.js is
+ * one consumer of it. Options, besides ENGINE_DEFAULTS:
+ * - seed:     fixes the board, refills and shuffles (rng.js)
+ * - layout:   blockers and shape, one string per row (LAYOUT_CODES);
+ *             it also sets the size unless rows/cols are given
+ * - board:    fixed starting gems, one string per row of GEM_CODES
+ *             letters, '.' for a random gem
+ * - drops:    one string per column of the gems it refills with,
+ *             first letter first, before random ones
+ * - ingredients: how many ingredients drop in over the game
+ * Each cell holds a gem { color, special } or EMPTY.
+ */
+function createEngine(options = {}) {
+    const settings = { ...ENGINE_DEFAULTS, ...options, ...boardSize(options) };
+    const { rows, cols } = settings;
+    const rng = createEngineRng(settings.seed);
+    const random = rng.next;
+
+    // Voids never change during a game
+    const voids = Array.from({ length: rows }, (_, row) =>
+        Array.from({ length: cols }, (_, col) => layoutCode(row, col) === LAYOUT_CODES.VOID));
+
+    let grid = [];
+    let ice = Array.from({ length: rows }, () => new Array(cols).fill(0));  // Ice layers per cell; ice doesn't move with the gems
+    let stats = createStats();
+    let ingredientsSpawned = 0;
+    let dropsUsed = new Array(cols).fill(0);  // Scripted drops already used, per column
+
+    // ===========================================
+    // STATE ACCESS
+    // ===========================================
+
+    function createStats() {
+        const gemsCollected = {};
+        for (let type = 0; type < settings.numGemTypes; type++) {
+            gemsCollected[type] = 0;
+        }
+        const specialsCollected = {};
+        for (const special of Object.values(SPECIAL)) {
+            specialsCollected[special] = 0;
+        }
+        return {
+            score: 0,
+            gemsCollected,
+            totalGemsCollected: 0,
+            specialsCollected,
+            iceTotal: countIce(),
+            iceCleared: 0,
+            stonesBroken: 0,
+            gemsUnlocked: 0,
+            ingredientsDropped: 0
+        };
+    }
+
+    function layoutCode(row, col) {
+        const line = settings.layout && settings.layout[row];
+        return (line && line[col]) || LAYOUT_CODES.PLAIN;
+    }
+
+    function isVoid(row, col) {
+        return voids[row][col];
+    }
+
+    function getGem(row, col) {
+        return grid[row][col];
+    }
+
+    function getBoard() {
+        return grid.map(row => row.map(copyGem));
+    }
+
+    function setBoard(board) {
+        grid = board.map(row => row.map(copyGem));
+    }
+
+    function getIce() {
+        return ice.map(row => row.slice());
+    }
+
+    function setIce(layers) {
+        ice = layers.map(row => row.slice());
+    }
+
+    function countIce() {
+        return ice.reduce((total, row) => total + row.reduce((sum, layers) => sum + layers, 0), 0);
+    }
+
+    function getStats() {
+        return {
+            ...stats,
+            gemsCollected: { ...stats.gemsCollected },
+            specialsCollected: { ...stats.specialsCollected }
+        };
+    }
+
+    function resetStats() {
+        stats = createStats();
+    }
+
+    /**
+     * Everything a move can change: board, ice, stats, how many
+     * gem types are in play, ingredients dropped in so far and
+     * the random generator's position. Restoring it with
+     * setState() puts the game back exactly, so the same move
+     * then gets the same refills.
+     */
+    function getState() {
+        return {
+            board: getBoard(),
+            ice: getIce(),
+            stats: getStats(),
+            numGemTypes: settings.numGemTypes,
+            ingredientsSpawned,
+            dropsUsed: dropsUsed.slice(),
+            rngState: rng.getState()
+        };
+    }
+
+    // A separate engine in this one's exact state; `overrides`
+    // change its options, e.g. fork({ refill: false })
+    function fork(overrides = {}) {
+        const copy = createEngine({ ...settings, ...overrides });
+        copy.setState(getState());
+        return copy;
+    }
+
+    function setState(state) {
+        setBoard(state.board);
+        setIce(state.ice);
+        stats = {
+            ...state.stats,
+            gemsCollected: { ...state.stats.gemsCollected },
+            specialsCollected: { ...state.stats.specialsCollected }
+        };
+        settings.numGemTypes = state.numGemTypes;
+        ingredientsSpawned = state.ingredientsSpawned;
+        dropsUsed = state.dropsUsed ? state.dropsUsed.slice() : new Array(cols).fill(0);
+        rng.setState(state.rngState);
+    }
+
+    // ===========================================
+    // GRID CREATION
+    // ===========================================
+
+    function randomGemType() {
+        return Math.floor(random() * settings.numGemTypes);
+    }
+
+    function randomGem() {
+        return createGem(randomGemType());
+    }
+
+    function createGrid() {
+        grid = [];
+        ice = [];
+        for (let row = 0; row < rows; row++) {
+            grid[row] = [];
+            ice[row] = [];
+            for (let col = 0; col < cols; col++) {
+                const code = layoutCode(row, col);
+                const layers = Number(code);
+                ice[row][col] = layers > 0 ? Math.min(layers, MAX_ICE_LAYERS) : 0;
+
+                if (code === LAYOUT_CODES.VOID) {
+                    grid[row][col] = EMPTY;
+                } else if (code === LAYOUT_CODES.STONE) {
+                    grid[row][col] = createStone();
+                } else {
+                    const color = boardColor(row, col);
+                    grid[row][col] = color === null ? undefined : createGem(color);
+                }
+            }
+        }
+
+        // Random gems go in once the fixed ones are placed, so they can't match them
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                if (grid[row][col] === undefined) {
+                    grid[row][col] = createGem(getRandomGemWithoutMatch(row, col));
+                }
+                if (layoutCode(row, col) === LAYOUT_CODES.LOCKED) {
+                    grid[row][col].locked = true;
+                }
+            }
+        }
+    }
+
+    // The gem type a level's `board` fixes for this cell, or null
+    function boardColor(row, col) {
+        const line = settings.board && settings.board[row];
+        const color = GEM_CODES.indexOf(line && line[col]);
+        return color >= 0 ? color : null;
+    }
+
+    function getRandomGemWithoutMatch(row, col) {
+        let gemType;
+        let attempts = 0;
+
+        do {
+            gemType = randomGemType();
+            attempts++;
+            if (attempts >= 100) break;
+        } while (wouldCreateMatch(row, col, gemType));
+
+        return gemType;
+    }
+
+    // Checks both sides of the cell, as fixed gems may already sit below or to the right
+    function wouldCreateMatch(row, col, gemType) {
+        const runLength = (dRow, dCol) => {
+            let length = 0;
+            for (let r = row + dRow, c = col + dCol; grid[r] && grid[r][c] && grid[r][c].color === gemType; r += dRow, c += dCol) {
+                length++;
+            }
+            return length;
+        };
+        return runLength(0, -1) + runLength(0, 1) >= 2 || runLength(-1, 0) + runLength(1, 0) >= 2;
+    }
+
+    // Colour used for matching; null for empty cells and colour bombs
+    function colorAt(row, col) {
+        const gem = grid[row][col];
+        return gem ? gem.color : null;
+    }
+
+    /**
+     * Fills a fresh board that starts with no matches and at
+     * least one valid move, and resets the stats.
+     */
+    function newBoard() {
+        dropsUsed = new Array(cols).fill(0);
+        createGrid();
+        placeStartingIngredients();
+        if (!hasValidMoves()) {
+            shuffleBoard();
+        }
+        resetStats();
+        return getBoard();
+    }
+
+    // ===========================================
+    // SWAP LOGIC
+    // ===========================================
+
+    function isAdjacent(pos1, pos2) {
+        const rowDiff = Math.abs(pos1.row - pos2.row);
+        const colDiff = Math.abs(pos1.col - pos2.col);
+        return (rowDiff === 1 && colDiff === 0) || (rowDiff === 0 && colDiff === 1);
+    }
+
+    function swap(row1, col1, row2, col2) {
+        const temp = grid[row1][col1];
+        grid[row1][col1] = grid[row2][col2];
+        grid[row2][col2] = temp;
+    }
+
+    /**
+     * Plays a swap between two adjacent cells through to the end
+     * of its cascade. Returns { valid, events }; an invalid swap
+     * leaves the board as it was. Each event has a copy of the
+     * board, ice and stats right after its step:
+     * - swap / revert: { from, to }, the revert undoing a swap
+     *   that made no match
+     * - blocked: a stone or locked gem can't be swapped
+     * - match: { cells, cascade, points, specials (created),
+     *   triggered, combo, unlocked, stones, iceHits }
+     * - ingredient: ingredients left the board { cells }
+     * - gravity: { moves: [{ from, to }] }; refill: { cells }
+     * - shuffle: no moves were left
+     * addBlockers() adds a `blockers` event { stones, frozen }.
+     */
+    function trySwap(from, to) {
+        const events = [];
+
+        if (!isAdjacent(from, to)) {
+            return { valid: false, events };
+        }
+
+        if (!isSwappable(grid[from.row][from.col]) || !isSwappable(grid[to.row][to.col])) {
+            events.push(createEvent('blocked', { from, to }));
+            return { valid: false, events };
+        }
+
+        swap(from.row, from.col, to.row, to.col);
+        events.push(createEvent('swap', { from, to }));
+
+        const step = planSwapStep(from, to);
+
+        if (!step) {
+            swap(from.row, from.col, to.row, to.col);
+            events.push(createEvent('revert', { from, to }));
+            return { valid: false, events };
+        }
+
+        processMatches(step, events);
+
+        if (settings.refill && !hasValidMoves()) {
+            shuffleBoard();
+            events.push(createEvent('shuffle'));
+        }
+
+        return { valid: true, events };
+    }
+
+    function createEvent(type, details = {}) {
+        return { type, ...details, board: getBoard(), ice: getIce(), stats: getStats() };
+    }
+
+    /**
+     * Works out what a swap (already applied to the grid) clears:
+     * two specials combine, a colour bomb swapped with a gem clears
+     * that gem's colour, otherwise the matches it made, with any
+     * special gem they earn placed at the swapped position.
+     * Null means no match.
+     */
+    function planSwapStep(from, to) {
+        const gemFrom = grid[from.row][from.col];
+        const gemTo = grid[to.row][to.col];
+
+        if (gemFrom.special && gemTo.special) {
+            return planComboStep(from, to);
+        }
+
+        if (isColorBombSwap(gemFrom, gemTo)) {
+            const [bombPos, otherGem] = isColorBomb(gemTo) ? [to, gemFrom] : [from, gemTo];
+            return {
+                cells: [bombPos, ...cellsOfColor(otherGem.color)],
+                spawns: [],
+                // Spent here, so it must not go off again on the most common colour
+                converts: [{ row: bombPos.row, col: bombPos.col, gem: createGem(null) }],
+                spent: [SPECIAL.COLOR_BOMB]
+            };
+        }
+
+        return planMatchStep(findMatchGroups(), [to, from]);
+    }
+
+    /**
+     * Two specials swapped into each other. Both are spent as plain
+     * gems (`converts`) and the combined blast is centred on the
+     * cell the player swapped into.
+     */
+    function planComboStep(from, to) {
+        const gemFrom = grid[from.row][from.col];
+        const gemTo = grid[to.row][to.col];
+        const kinds = [gemFrom.special, gemTo.special];
+        const has = special => kinds.includes(special);
+        const isLine = special => special === SPECIAL.LINE_H || special === SPECIAL.LINE_V;
+
+        const converts = [
+            { row: from.row, col: from.col, gem: createGem(gemFrom.color) },
+            { row: to.row, col: to.col, gem: createGem(gemTo.color) }
+        ];
+        let combo;
+        let cells;
+
+        if (has(SPECIAL.COLOR_BOMB)) {
+            const other = isColorBomb(gemFrom) ? gemTo : gemFrom;
+
+            if (isColorBomb(other)) {
+                combo = COMBO.CLEAR_BOARD;
+                cells = areaCells(0, 0, rows - 1, cols - 1);
+            } else {
+                // Every gem of the partner's colour becomes that special
+                combo = COMBO.CONVERT;
+                cells = cellsOfColor(other.color);
+                for (const { row, col } of cells) {
+                    const special = isLine(other.special)
+                        ? (random() < 0.5 ? SPECIAL.LINE_H : SPECIAL.LINE_V)
+                        : other.special;
+                    converts.push({ row, col, gem: createGem(other.color, special) });
+                }
+                cells.push(from, to);
+            }
+        } else if (isLine(kinds[0]) && isLine(kinds[1])) {
+            combo = COMBO.CROSS;
+            cells = [
+                ...areaCells(to.row, 0, to.row, cols - 1),
+                ...areaCells(0, to.col, rows - 1, to.col)
+            ];
+        } else if (has(SPECIAL.BOMB) && kinds.some(isLine)) {
+            combo = COMBO.WIDE_LINE;
+            cells = kinds.includes(SPECIAL.LINE_H)
+                ? areaCells(to.row - 1, 0, to.row + 1, cols - 1)
+                : areaCells(0, to.col - 1, rows - 1, to.col + 1);
+        } else {
+            combo = COMBO.BIG_BOMB;
+            cells = areaCells(to.row - 2, to.col - 2, to.row + 2, to.col + 2);
+        }
+
+        return { cells, spawns: [], converts, combo, spent: kinds };
+    }
+
+    // ===========================================
+    // MATCH DETECTION
+    // ===========================================
+
+    /**
+     * Finds every run of 3+ same-coloured gems and joins runs that
+     * share a cell, so each group describes one match shape:
+     * { color, cells, runs: [{ direction, cells }] }.
+     */
+    function findMatchGroups() {
+        const runs = [...findRuns('h'), ...findRuns('v')];
+        const groups = [];
+        const groupByCell = new Map();
+
+        for (const run of runs) {
+            const touching = new Set();
+            for (const { row, col } of run.cells) {
+                const group = groupByCell.get(`${row},${col}`);
+                if (group) touching.add(group);
+            }
+
+            // Merge every group this run crosses into one
+            const [group, ...others] = touching.size > 0
+                ? Array.from(touching)
+                : [{ color: run.color, runs: [] }];
+            if (touching.size === 0) groups.push(group);
+
+            for (const other of others) {
+                group.runs.push(...other.runs);
+                groups.splice(groups.indexOf(other), 1);
+            }
+            group.runs.push(run);
+
+            for (const r of group.runs) {
+                for (const { row, col } of r.cells) {
+                    groupByCell.set(`${row},${col}`, group);
+                }
+            }
+        }
+
+        for (const group of groups) {
+            const cells = new Map();
+            for (const run of group.runs) {
+                for (const pos of run.cells) {
+                    cells.set(`${pos.row},${pos.col}`, pos);
+                }
+            }
+            group.cells = Array.from(cells.values());
+        }
+
+        return groups;
+    }
+
+    function findRuns(direction) {
+        const runs = [];
+        const [outer, inner] = direction === 'h' ? [rows, cols] : [cols, rows];
+        const at = (a, b) => (direction === 'h' ? { row: a, col: b } : { row: b, col: a });
+
+        for (let a = 0; a < outer; a++) {
+            let b = 0;
+            while (b < inner) {
+                const start = at(a, b);
+                const color = colorAt(start.row, start.col);
+                let end = b + 1;
+                while (color !== null && end < inner) {
+                    const pos = at(a, end);
+                    if (colorAt(pos.row, pos.col) !== color) break;
+                    end++;
+                }
+                if (color !== null && end - b >= 3) {
+                    const cells = [];
+                    for (let i = b; i < end; i++) {
+                        cells.push(at(a, i));
+                    }
+                    runs.push({ direction, color, cells });
+                }
+                b = end;
+            }
+        }
+
+        return runs;
+    }
+
+    function findAllMatches() {
+        return findMatchGroups().flatMap(group => group.cells);
+    }
+
+    /**
+     * Picks the special gem a match group earns, if any:
+     * 5 in a line beats an L/T shape, which beats 4 in a line.
+     */
+    function specialForGroup(group) {
+        const longest = group.runs.reduce((best, run) => (run.cells.length > best.cells.length ? run : best));
+        const hasBothDirections = group.runs.some(run => run.direction !== longest.direction);
+
+        if (longest.cells.length >= 5) return SPECIAL.COLOR_BOMB;
+        if (hasBothDirections) return SPECIAL.BOMB;
+        if (longest.cells.length === 4) {
+            return longest.direction === 'h' ? SPECIAL.LINE_H : SPECIAL.LINE_V;
+        }
+        return null;
+    }
+
+    // Where a group's special appears: the swapped cell if the group
+    // contains one, else the corner of an L/T, else the run's middle
+    function spawnPosition(group, preferred) {
+        const inGroup = pos => group.cells.some(c => c.row === pos.row && c.col === pos.col);
+        const swapped = preferred.find(inGroup);
+        if (swapped) return swapped;
+
+        if (group.runs.length > 1) {
+            const [first, ...rest] = group.runs;
+            const corner = first.cells.find(pos =>
+                rest.some(run => run.cells.some(c => c.row === pos.row && c.col === pos.col)));
+            if (corner) return corner;
+        }
+
+        const run = group.runs[0];
+        return run.cells[Math.floor(run.cells.length / 2)];
+    }
+
+    function planMatchStep(groups, preferred = []) {
+        if (groups.length === 0) return null;
+
+        const cells = [];
+        const spawns = [];
+
+        for (const group of groups) {
+            cells.push(...group.cells);
+            const special = specialForGroup(group);
+            if (special) {
+                const { row, col } = spawnPosition(group, preferred);
+                const color = special === SPECIAL.COLOR_BOMB ? null : group.color;
+                spawns.push({ row, col, gem: createGem(color, special) });
+            }
+        }
+
+        return { cells, spawns };
+    }
+
+    // ===========================================
+    // MATCH PROCESSING
+    // ===========================================
+
+    function processMatches(step, events) {
+        let cascadeLevel = 0;
+
+        while (step) {
+            cascadeLevel++;
+
+            for (const { row, col, gem } of step.converts || []) {
+                grid[row][col] = gem;
+            }
+
+            const { cells: hits, triggered } = expandSpecials(step.cells);
+            hits.push(...adjacentStones(step.cells, hits));
+            const { cells, unlocked, stones, iceHits } = removeMatches(hits);
+
+            // Track collected gems
+            for (const { gem } of cells) {
+                if (gem.color !== null) {
+                    stats.gemsCollected[gem.color] = (stats.gemsCollected[gem.color] || 0) + 1;
+                }
+                stats.totalGemsCollected++;
+            }
+            for (const special of [...(step.spent || []), ...triggered.map(t => t.special)]) {
+                stats.specialsCollected[special]++;
+            }
+
+            const points = hits.length * settings.pointsPerGem * cascadeLevel;
+            stats.score += points;
+
+            for (const { row, col, gem } of step.spawns) {
+                grid[row][col] = gem;
+            }
+
+            events.push(createEvent('match', {
+                cells,
+                cascade: cascadeLevel,
+                points,
+                specials: step.spawns,
+                triggered,
+                combo: step.combo || null,
+                unlocked,
+                stones,
+                iceHits
+            }));
+
+            settleBoard(events);
+
+            step = planMatchStep(findMatchGroups());
+        }
+    }
+
+    // Drops and refills until nothing moves, letting ingredients
+    // that reach the bottom leave the board on the way
+    function settleBoard(events) {
+        let dropped = [];
+
+        do {
+            if (dropped.length > 0) {
+                events.push(createEvent('ingredient', { cells: dropped }));
+            }
+
+            const moves = applyGravity();
+            if (moves.length > 0) {
+                events.push(createEvent('gravity', { moves }));
+            }
+
+            const spawned = fillEmptySpaces();
+            if (spawned.length > 0) {
+                events.push(createEvent('refill', { cells: spawned }));
+            }
+
+            dropped = collectIngredients();
+        } while (dropped.length > 0);
+    }
+
+    /**
+     * Adds the blast area of every special gem caught in the clear,
+     * following chain reactions. Returns the cleared cells with the
+     * gem each held and the specials that went off.
+     */
+    function expandSpecials(positions) {
+        const cleared = new Map();
+        const triggered = [];
+        const queue = positions.slice();
+
+        while (queue.length > 0) {
+            const { row, col } = queue.shift();
+            const key = `${row},${col}`;
+            const gem = grid[row][col];
+            if (cleared.has(key) || gem === EMPTY || isIngredient(gem)) continue;
+
+            cleared.set(key, { row, col, gem });
+            if (gem.special) {
+                triggered.push({ row, col, special: gem.special });
+                queue.push(...specialEffectCells(row, col, gem));
+            }
+        }
+
+        return { cells: Array.from(cleared.values()), triggered };
+    }
+
+    function specialEffectCells(row, col, gem) {
+        const cells = [];
+
+        switch (gem.special) {
+            case SPECIAL.LINE_H:
+                for (let c = 0; c < cols; c++) cells.push({ row, col: c });
+                break;
+
+            case SPECIAL.LINE_V:
+                for (let r = 0; r < rows; r++) cells.push({ row: r, col });
+                break;
+
+            case SPECIAL.BOMB:
+                cells.push(...areaCells(row - 1, col - 1, row + 1, col + 1));
+                break;
+
+            case SPECIAL.COLOR_BOMB:
+                // Set off by another special: takes the most common colour
+                cells.push(...cellsOfColor(mostCommonColor()));
+                break;
+        }
+
+        return cells;
+    }
+
+    // Every cell in a rectangle, clipped to the board
+    function areaCells(top, left, bottom, right) {
+        const cells = [];
+        for (let row = Math.max(top, 0); row <= Math.min(bottom, rows - 1); row++) {
+            for (let col = Math.max(left, 0); col <= Math.min(right, cols - 1); col++) {
+                cells.push({ row, col });
+            }
+        }
+        return cells;
+    }
+
+    function cellsOfColor(color) {
+        const cells = [];
+        if (color === null) return cells;
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                if (colorAt(row, col) === color) cells.push({ row, col });
+            }
+        }
+        return cells;
+    }
+
+    function mostCommonColor() {
+        const counts = {};
+        let best = null;
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const color = colorAt(row, col);
+                if (color === null) continue;
+                counts[color] = (counts[color] || 0) + 1;
+                if (best === null || counts[color] > counts[best]) best = color;
+            }
+        }
+        return best;
+    }
+
+    // Stones next to the matched cells take a hit too
+    function adjacentStones(positions, alreadyHit) {
+        const hit = new Set(alreadyHit.map(({ row, col }) => `${row},${col}`));
+        const stones = [];
+
+        for (const { row, col } of positions) {
+            for (const [dr, dc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+                const r = row + dr;
+                const c = col + dc;
+                if (r < 0 || r >= rows || c < 0 || c >= cols) continue;
+                const gem = grid[r][c];
+                if (!isStone(gem) || hit.has(`${r},${c}`)) continue;
+                hit.add(`${r},${c}`);
+                stones.push({ row: r, col: c, gem });
+            }
+        }
+
+        return stones;
+    }
+
+    /**
+     * Clears the hit cells: gems are removed, locks and stones
+     * break, and any ice underneath loses a layer. Returns what
+     * happened to each kind of cell.
+     */
+    function removeMatches(hits) {
+        const cells = [];
+        const unlocked = [];
+        const stones = [];
+        const iceHits = [];
+
+        for (const { row, col, gem } of hits) {
+            if (isStone(gem)) {
+                grid[row][col] = EMPTY;
+                stones.push({ row, col });
+                stats.stonesBroken++;
+            } else if (gem.locked) {
+                grid[row][col] = createGem(gem.color, gem.special);
+                unlocked.push({ row, col });
+                stats.gemsUnlocked++;
+            } else {
+                grid[row][col] = EMPTY;
+                cells.push({ row, col, gem });
+            }
+
+            if (ice[row][col] > 0) {
+                ice[row][col]--;
+                iceHits.push({ row, col, layers: ice[row][col] });
+                stats.iceCleared++;
+            }
+        }
+
+        return { cells, unlocked, stones, iceHits };
+    }
+
+    // ===========================================
+    // GRAVITY & FILLING
+    // ===========================================
+
+    /**
+     * Splits each column into the runs of cells gems can fall
+     * through, listed bottom to top. Voids are skipped over and
+     * fixed pieces (stones, locked gems) end a segment.
+     */
+    function columnSegments() {
+        const segments = [];
+
+        for (let col = 0; col < cols; col++) {
+            let segment = [];
+
+            for (let row = rows - 1; row >= 0; row--) {
+                if (voids[row][col]) continue;
+                if (isFixed(grid[row][col])) {
+                    if (segment.length > 0) segments.push(segment);
+                    segment = [];
+                    continue;
+                }
+                segment.push({ row, col });
+            }
+
+            if (segment.length > 0) segments.push(segment);
+        }
+
+        return segments;
+    }
+
+    function applyGravity() {
+        const moves = [];
+
+        for (const segment of columnSegments()) {
+            let target = 0;
+
+            for (const pos of segment) {
+                const gem = grid[pos.row][pos.col];
+                if (gem === EMPTY) continue;
+
+                const dest = segment[target++];
+                if (dest !== pos) {
+                    grid[dest.row][dest.col] = gem;
+                    grid[pos.row][pos.col] = EMPTY;
+                    moves.push({ from: pos, to: dest });
+                }
+            }
+        }
+
+        return moves;
+    }
+
+    // After gravity the only empty cells are at the top of a segment,
+    // so that is where new gems spawn
+    function fillEmptySpaces() {
+        const spawned = [];
+        if (!settings.refill) return spawned;
+
+        for (let col = 0; col < cols; col++) {
+            let empty = 0;
+            for (let row = 0; row < rows; row++) {
+                if (grid[row][col] === EMPTY && !voids[row][col]) empty++;
+            }
+
+            // The first scripted drop falls furthest, into the lowest empty cell
+            const drops = takeDrops(col, empty);
+            for (let row = 0; row < rows; row++) {
+                if (grid[row][col] === EMPTY && !voids[row][col]) {
+                    const color = drops[--empty];
+                    if (color !== undefined) {
+                        grid[row][col] = createGem(color);
+                    } else {
+                        grid[row][col] = shouldSpawnIngredient() ? spawnIngredient() : randomGem();
+                    }
+                    spawned.push({ row, col, gem: grid[row][col] });
+                }
+            }
+        }
+
+        return spawned;
+    }
+
+    // Up to `count` gem types from the column's scripted drops
+    function takeDrops(col, count) {
+        const queue = (settings.drops && settings.drops[col]) || '';
+        const codes = queue.slice(dropsUsed[col], dropsUsed[col] + count);
+        dropsUsed[col] += codes.length;
+        return [...codes].map(code => GEM_CODES.indexOf(code)).filter(color => color >= 0);
+    }
+
+    // ===========================================
+    // INGREDIENTS
+    // ===========================================
+
+    // Ingredients can't be matched or blasted; one that reaches the
+    // bottom cell of its column leaves the board and counts as dropped
+
+    function countIngredients() {
+        return grid.reduce((total, row) => total + row.filter(isIngredient).length, 0);
+    }
+
+    function shouldSpawnIngredient() {
+        if (ingredientsSpawned >= (settings.ingredients || 0)) return false;
+        if (countIngredients() >= MAX_INGREDIENTS_ON_BOARD) return false;
+        return random() < INGREDIENT_SPAWN_CHANCE;
+    }
+
+    function spawnIngredient() {
+        ingredientsSpawned++;
+        return createIngredient();
+    }
+
+    // The first ingredients start in the top cell of random columns
+    function placeStartingIngredients() {
+        const wanted = Math.min(settings.ingredients || 0, MAX_INGREDIENTS_ON_BOARD);
+        const columns = [];
+        for (let col = 0; col < cols; col++) {
+            const row = voids.findIndex(line => !line[col]);
+            if (row >= 0 && !isFixed(grid[row][col])) columns.push({ row, col });
+        }
+
+        for (let i = 0; i < wanted && columns.length > 0; i++) {
+            const [{ row, col }] = columns.splice(Math.floor(random() * columns.length), 1);
+            grid[row][col] = spawnIngredient();
+        }
+    }
+
+    // Ingredients sitting in the lowest cell of their column are collected
+    function collectIngredients() {
+        const dropped = [];
+
+        for (let col = 0; col < cols; col++) {
+            let row = rows - 1;
+            while (row >= 0 && voids[row][col]) row--;
+            if (row < 0 || !isIngredient(grid[row][col])) continue;
+
+            grid[row][col] = EMPTY;
+            dropped.push({ row, col });
+            stats.ingredientsDropped++;
+        }
+
+        return dropped;
+    }
+
+    // ===========================================
+    // DIFFICULTY
+    // ===========================================
+
+    // New refills and shuffles use this many gem types
+    function setGemTypes(count) {
+        settings.numGemTypes = Math.min(Math.max(count, 1), GEM_SYMBOLS.length);
+        for (let type = 0; type < settings.numGemTypes; type++) {
+            stats.gemsCollected[type] = stats.gemsCollected[type] || 0;
+        }
+    }
+
+    /**
+     * Turns random plain gems into stones and puts ice layers
+     * under random cells, for modes that get harder as they go.
+     * Returns the events to play, including a shuffle if the
+     * new blockers left no valid move.
+     */
+    function addBlockers({ stones = 0, ice: iceLayers = 0 } = {}) {
+        const events = [];
+        const plainCells = [];
+        const openCells = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const gem = grid[row][col];
+                if (voids[row][col] || gem === EMPTY) continue;
+                if (ice[row][col] < MAX_ICE_LAYERS) openCells.push({ row, col });
+                if (isSwappable(gem) && !gem.special && !gem.locked) plainCells.push({ row, col });
+            }
+        }
+
+        const stoneCells = [];
+        for (let i = 0; i < stones && plainCells.length > 0; i++) {
+            const [cell] = plainCells.splice(Math.floor(random() * plainCells.length), 1);
+            grid[cell.row][cell.col] = createStone();
+            stoneCells.push(cell);
+        }
+
+        const iceCells = [];
+        for (let i = 0; i < iceLayers && openCells.length > 0; i++) {
+            const [cell] = openCells.splice(Math.floor(random() * openCells.length), 1);
+            ice[cell.row][cell.col]++;
+            stats.iceTotal++;
+            iceCells.push(cell);
+        }
+
+        events.push(createEvent('blockers', { stones: stoneCells, frozen: iceCells }));
+
+        if (!hasValidMoves()) {
+            shuffleBoard();
+            events.push(createEvent('shuffle'));
+        }
+
+        return events;
+    }
+
+    // ===========================================
+    // VALID MOVES CHECK
+    // ===========================================
+
+    function hasValidMoves() {
+        return findValidMove() !== null;
+    }
+
+    function findValidMove() {
+        return findValidMoves(1)[0] || null;
+    }
+
+    // Every valid swap, scanning from the top left, up to `limit` of them
+    function findValidMoves(limit = Infinity) {
+        const moves = [];
+        for (let row = 0; row < rows && moves.length < limit; row++) {
+            for (let col = 0; col < cols && moves.length < limit; col++) {
+                if (col < cols - 1 && isValidSwap(row, col, row, col + 1)) {
+                    moves.push({ row1: row, col1: col, row2: row, col2: col + 1 });
+                }
+                if (moves.length < limit && row < rows - 1 && isValidSwap(row, col, row + 1, col)) {
+                    moves.push({ row1: row, col1: col, row2: row + 1, col2: col });
+                }
+            }
+        }
+        return moves;
+    }
+
+    function isValidSwap(row1, col1, row2, col2) {
+        const gem1 = grid[row1][col1];
+        const gem2 = grid[row2][col2];
+        if (!isSwappable(gem1) || !isSwappable(gem2)) {
+            return false;
+        }
+        if (isColorBombSwap(gem1, gem2) || (gem1.special && gem2.special)) {
+            return true;
+        }
+        swap(row1, col1, row2, col2);
+        const hasMatch = findAllMatches().length > 0;
+        swap(row1, col1, row2, col2);
+        return hasMatch;
+    }
+
+    // Shuffles the free gems; stones and locked gems keep their cells.
+    // Gives up after a while on boards that can't have a valid move.
+    function shuffleBoard(attempts = 0) {
+        const isFree = (row, col) => grid[row][col] !== EMPTY && !isFixed(grid[row][col]);
+        const gems = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                if (isFree(row, col)) gems.push(grid[row][col]);
+            }
+        }
+
+        for (let i = gems.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [gems[i], gems[j]] = [gems[j], gems[i]];
+        }
+
+        let index = 0;
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                if (isFree(row, col)) grid[row][col] = gems[index++];
+            }
+        }
+
+        if (!hasValidMoves() && attempts < MAX_SHUFFLE_ATTEMPTS) {
+            shuffleBoard(attempts + 1);
+        }
+    }
+
+    return {
+        rows,
+        cols,
+        seed: rng.seed,
+        isVoid,
+        getGem,
+        getBoard,
+        setBoard,
+        getIce,
+        setIce,
+        countIce,
+        getStats,
+        resetStats,
+        getState,
+        setState,
+        fork,
+        newBoard,
+        setGemTypes,
+        addBlockers,
+        isAdjacent,
+        trySwap,
+        findAllMatches,
+        hasValidMoves,
+        findValidMove,
+        findValidMoves,
+        shuffle: shuffleBoard
+    };
+}
+
+/**
+ * Rebuilds a game from its seed and the swaps that were played,
+ * e.g. replayGame({ seed: 8812 }, [{ from, to }, ...]).
+ * Returns the engine in its final state and each swap's result.
+ */
+function replayGame(options, swaps) {
+    const engine = createEngine(options);
+    engine.newBoard();
+    const results = swaps.map(({ from, to }) => engine.trySwap(from, to));
+    return { engine, results };
+}
+
+// ===========================================
+// BOARD HELPERS
+// ===========================================
+
+// Explicit rows/cols win; otherwise the layout (or a fixed board) decides the size
+function boardSize({ rows, cols, layout, board } = {}) {
+    layout = layout || board;
+    return {
+        rows: rows || (layout ? layout.length : ENGINE_DEFAULTS.rows),
+        cols: cols || (layout ? Math.max(...layout.map(line => line.length)) : ENGINE_DEFAULTS.cols)
+    };
+}
+
+
+function createGem(color, special = null) {
+    return { color, special };
+}
+
+function copyGem(gem) {
+    return gem === EMPTY ? EMPTY : { ...gem };
+}
+
+function createStone() {
+    return { color: null, special: null, blocker: BLOCKER.STONE };
+}
+
+function createIngredient() {
+    return { color: null, special: null, ingredient: true };
+}
+
+function isColorBomb(gem) {
+    return gem !== EMPTY && gem.special === SPECIAL.COLOR_BOMB;
+}
+
+// A colour bomb needs a partner with a colour (or another colour bomb)
+function isColorBombSwap(gem1, gem2) {
+    return (isColorBomb(gem1) && (gem2.color !== null || isColorBomb(gem2)))
+        || (isColorBomb(gem2) && gem1.color !== null);
+}
+
+function isIngredient(gem) {
+    return gem !== EMPTY && gem.ingredient === true;
+}
+
+function isStone(gem) {
+    return gem !== EMPTY && gem.blocker === BLOCKER.STONE;
+}
+
+// Stones and locked gems stay where they are
+function isFixed(gem) {
+    return gem !== EMPTY && (isStone(gem) || gem.locked === true);
+}
+
+function isSwappable(gem) {
+    return gem !== EMPTY && !isFixed(gem);
+}
+
+// Export for use in Node (tests, simulations, tools)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createEngine,
+        replayGame,
+        createGem,
+        createStone,
+        createIngredient,
+        boardSize,
+        ENGINE_DEFAULTS,
+        GEM_SYMBOLS,
+        GEM_NAMES,
+        GEM_CODES,
+        SPECIAL,
+        COMBO,
+        BLOCKER,
+        LAYOUT_CODES,
+        MAX_ICE_LAYERS,
+        EMPTY
+    };
+}
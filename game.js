@@ -7,35 +7,99 @@
 // GAME CONFIGURATION
 // ===========================================
 
+// Board size, gem types and scoring live in ENGINE_DEFAULTS (engine.js);
+// the player's settings (settings.js) override some of these
 const CONFIG = {
-    ROWS: 8,
-    COLS: 8,
-    NUM_GEM_TYPES: 6,
-    POINTS_PER_GEM: 10,
     ANIMATION_DELAY: 300,
-    STORAGE_KEY: 'gemGardenProgress'
+    SWAP_DELAY: 150,            // ms two swapped gems take to slide past each other
+    STORAGE_KEY: 'gemGardenProgress',
+    BACKUP_KEY: 'gemGardenProgressBackup',  // A save that couldn't all be read, kept as it was
+    TIMER_TICK: 100,            // ms between countdown updates
+    TIME_BONUS_PER_CASCADE: 1,  // seconds added per cascade step after the first
+    TIME_WARNING: 10,           // seconds left when the clock turns red
+    MAX_HIGH_SCORES: 5,         // endless runs kept in the high-score table
+    UNDOS_PER_LEVEL: 3,         // levels can set their own with `undos`
+    HINT_COUNT: 1,              // best moves shown per hint
+    IDLE_HINT_DELAY: 8000,      // ms without a move before a hint shows itself; 0 turns it off
+    SWIPE_THRESHOLD: 20,        // px a gem is dragged before it swaps (see input.js)
+    INPUT_MODE: 'both',         // or 'tap' (click one gem, then the other) or 'drag'
+    RENDERER: 'dom',            // or 'canvas' (see canvas-renderer.js); ?renderer= picks one for a visit
+    GEM_SPRITES: { src: 'sprites/gems.svg', size: 64 }  // The canvas renderer's gem art, one frame per gem type
 };
 
-const GEM_SYMBOLS = ['💎', '🔷', '💚', '⭐', '🔮', '🧡'];
-const GEM_NAMES = ['Ruby', 'Sapphire', 'Emerald', 'Topaz', 'Amethyst', 'Citrine'];
+// Endless mode gets harder as the score climbs: each stage sets the
+// gem types in play and drops its stones and ice layers on the board
+const ENDLESS_STAGES = [
+    { score: 0, gemTypes: 4 },
+    { score: 1500, gemTypes: 5 },
+    { score: 4000, gemTypes: 6 },
+    { score: 8000, gemTypes: 6, stones: 2 },
+    { score: 15000, gemTypes: 6, stones: 3, ice: 4 },
+    { score: 25000, gemTypes: 6, stones: 4, ice: 6 }
+];
+
+const COLOR_BOMB_SYMBOL = '🌈';
+const STONE_SYMBOL = '🪨';
+const INGREDIENT_SYMBOL = '🌰';
+// Shown on each gem in high contrast, so no two gems differ only by colour
+const GEM_MARKS = ['●', '■', '▲', '◆', '★', '✚'];
+const SPECIAL_NAMES = {
+    [SPECIAL.LINE_H]: 'Striped gem',
+    [SPECIAL.LINE_V]: 'Striped gem',
+    [SPECIAL.BOMB]: 'Bomb gem',
+    [SPECIAL.COLOR_BOMB]: 'Rainbow gem'
+};
+const SPECIAL_DESCRIPTIONS = {
+    [SPECIAL.LINE_H]: 'striped across',
+    [SPECIAL.LINE_V]: 'striped down',
+    [SPECIAL.BOMB]: 'bomb'
+};
+const COMBO_NAMES = {
+    [COMBO.CROSS]: 'Cross blast',
+    [COMBO.WIDE_LINE]: 'Wide stripe',
+    [COMBO.BIG_BOMB]: 'Mega bomb',
+    [COMBO.CONVERT]: 'Rainbow surge',
+    [COMBO.CLEAR_BOARD]: 'Board wipe'
+};
 
 // ===========================================
 // GAME STATE
 // ===========================================
 
-let grid = [];
-let score = 0;
+let engine = createEngine();
+let stats = engine.getStats();  // Stats as of the step currently on screen
+let displayIce = engine.getIce();  // Ice layers as of the step currently on screen
+let shownCells = [];  // What each gem element shows, to skip cells that haven't changed
+let shownEngine = null;  // The engine whose board the gem elements were built for
+let canvasRenderer = null;  // Draws the gems when the canvas renderer is in use
 let selectedGem = null;
 let isProcessing = false;
 let hintTimeout = null;
+let idleHintTimeout = null;
 
 // Level System State
+let currentPack = CLASSIC_PACK;  // The level pack currentLevel belongs to (see packs.js)
+let viewedPack = CLASSIC_PACK;  // The pack shown in the level select
 let currentLevel = 1;
+let activeLevel = null;  // The level being played: a pack's level, or one under test from the editor
+let isTestLevel = false;  // Play-testing from the editor; nothing is saved
+let levelGoals = [];  // The current level's goals, as a list (see goals.js)
 let movesLeft = 20;
-let totalMoves = 20;
-let gemsCollected = {};  // Track collected gems by type
-let totalGemsCollected = 0;
-let levelProgress = {};  // Saved progress: { levelId: { completed: true, stars: 3 } }
+let timeLeft = 0;  // Seconds left on a timed level (one with a timeLimit)
+let timerId = null;
+let lastTick = 0;
+let levelOver = false;  // Set once the level is won or lost
+let saveData = null;  // Every profile's saved progress (see saves.js); the active one is copied below
+let packProgress = {};  // Saved progress per pack: { packId: { levelId: { completed: true, stars: 3 } } }
+let moveLog = [];  // Swaps played this level; with the seed, "Copy replay" hands them out
+let undoStack = [];  // State before each valid swap, newest last
+let undosLeft = 0;
+
+// Endless Mode State
+let isEndless = false;
+let endlessStage = 0;  // Index into ENDLESS_STAGES
+let endlessEntry = null;  // This run's row in endlessHighScores, once recorded
+let endlessHighScores = [];  // Saved best runs: [{ score, date }], highest first
 
 // ===========================================
 // DOM ELEMENTS
@@ -47,222 +111,609 @@ const statusElement = document.getElementById('game-status');
 const levelElement = document.getElementById('level');
 
 // Goal elements
-const currentScoreEl = document.getElementById('current-score');
-const targetScoreEl = document.getElementById('target-score');
+const goalsPanelEl = document.getElementById('goals-panel');
 const movesLeftEl = document.getElementById('moves-left');
-const goalScoreEl = document.getElementById('goal-score');
+const movesIconEl = document.getElementById('moves-icon');
+const movesLabelEl = document.getElementById('moves-label');
 const goalMovesEl = document.getElementById('goal-moves');
-const goalGemsEl = document.getElementById('goal-gems');
-const goalGemIconEl = document.getElementById('goal-gem-icon');
-const gemsCollectedEl = document.getElementById('gems-collected');
-const gemsTargetEl = document.getElementById('gems-target');
+let goalElements = [];  // One .goal-item per entry in levelGoals
 
 // Buttons
 const levelsBtn = document.getElementById('levels-btn');
 const hintBtn = document.getElementById('hint-btn');
+const undoBtn = document.getElementById('undo-btn');
 const restartBtn = document.getElementById('restart-btn');
+const editLevelBtn = document.getElementById('edit-level-btn');
 
 // Modals
 const levelCompleteModal = document.getElementById('level-complete-modal');
 const levelFailedModal = document.getElementById('level-failed-modal');
 const levelSelectModal = document.getElementById('level-select-modal');
+const levelEditorModal = document.getElementById('level-editor-modal');
 
 // ===========================================
 // INITIALIZATION
 // ===========================================
 
-function initGame() {
-    loadProgress();
-    loadLevel(currentLevel);
+async function initGame() {
+    loadSettings();
+
+    // Progress can only be matched to packs once they are all loaded
+    loadImportedPacks();
+    await fetchPackFiles();
+    const saveProblems = loadProgress();
+
+    // A broken level definition is easier to spot here than mid-game
+    for (const error of validateLevels(LEVELS)) {
+        console.error(`Invalid level: ${formatLevelError(error)}`);
+    }
+
+    // ?pack=community&level=13&seed=8812 reproduces a reported board
+    const params = new URLSearchParams(window.location.search);
+    const seedParam = params.get('seed');
+    const pack = getPack(params.get('pack')) || currentPack;
+    const levelParam = Number(params.get('level'));
+    const levelId = pack.levels.some(l => l.id === levelParam) ? levelParam : pack === currentPack ? currentLevel : pack.levels[0].id;
+    const seed = seedParam === null ? undefined : Number(seedParam);
+
+    if ((params.get('renderer') || CONFIG.RENDERER) === 'canvas') {
+        useCanvasRenderer();
+    }
+
+    if (params.get('mode') === 'endless') {
+        startEndless(seed);
+    } else {
+        loadLevel(levelId, seed, pack);
+    }
+
+    if (saveProblems.length > 0) {
+        setStatus("Some saved progress couldn't be read; the rest was kept.");
+    }
 }
 
-function loadLevel(levelId) {
-    const level = LEVELS.find(l => l.id === levelId);
+function loadLevel(levelId, seed, pack = currentPack) {
+    const level = pack.levels.find(l => l.id === levelId);
     if (!level) {
-        console.error('Level not found:', levelId);
+        console.error('Level not found:', pack.id, levelId);
         return;
     }
 
-    // Reset state
+    currentPack = pack;
     currentLevel = levelId;
-    score = 0;
+    playLevel(level, seed);
+}
+
+// Starts any level definition; `test` marks a level from the editor
+function playLevel(level, seed, { test = false } = {}) {
+    // Reset state
+    recordEndlessScore();
+    isEndless = false;
+    activeLevel = level;
+    isTestLevel = test;
+    levelGoals = normalizeGoals(level.goals);
     movesLeft = level.moves;
-    totalMoves = level.moves;
+    timeLeft = level.timeLimit || 0;
     selectedGem = null;
     isProcessing = false;
-    gemsCollected = { 0: 0, 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
-    totalGemsCollected = 0;
+    levelOver = false;
+    moveLog = [];
+    undoStack = [];
+    undosLeft = level.undos ?? CONFIG.UNDOS_PER_LEVEL;
+    resetInput();
     clearHint();
+    stopTimer();
+
+    // Tutorials show until the level is first completed. A level with one
+    // fixes its board and drops for the tutorial, so after that it plays
+    // like any other: seeded random gems.
+    const tutorial = test || !getPackProgress()[level.id]?.completed ? level.tutorial || [] : [];
+    const fixedBoard = !level.tutorial || tutorial.length > 0;
+
+    // Create a board with at least one valid move
+    engine = createEngine({
+        seed: seed ?? level.seed,
+        layout: level.layout,
+        rows: level.rows,
+        cols: level.cols,
+        board: fixedBoard ? level.board : undefined,
+        drops: fixedBoard ? level.drops : undefined,
+        ingredients: countIngredientGoal(levelGoals)
+    });
+    const board = engine.newBoard();
+    stats = engine.getStats();
 
     // Update UI
-    levelElement.textContent = levelId;
-    updateScore(0);
-    updateGoalsUI(level);
+    levelElement.textContent = test ? '✎' : level.id;
+    editLevelBtn.hidden = !test;
+    updateScore(stats.score);
+    updateGoalsUI();
+    updateUndoButton();
     setStatus(level.description);
+    announce(`${test ? 'Test level' : `Level ${level.id}`}: ${level.description}`);
+    renderBoard(board, engine.getIce());
 
-    // Create and render board
-    createGrid();
-    renderBoard();
+    // Hide any open modals
+    hideAllModals();
+    startTutorial(tutorial);
+    scheduleIdleHint();
 
-    // Ensure valid moves exist
-    if (!hasValidMoves()) {
-        shuffleBoard();
+    if (isTimedLevel()) {
+        startTimer();
     }
+}
+
+// Starts an endless run: no goals and no move limit, just the score
+function startEndless(seed) {
+    recordEndlessScore();
+    isEndless = true;
+    isTestLevel = false;
+    activeLevel = null;
+    editLevelBtn.hidden = true;
+    endlessStage = 0;
+    endlessEntry = null;
+    levelGoals = [];
+    selectedGem = null;
+    isProcessing = false;
+    levelOver = false;
+    moveLog = [];
+    undoStack = [];
+    undosLeft = CONFIG.UNDOS_PER_LEVEL;
+    resetInput();
+    clearHint();
+    stopTimer();
+
+    engine = createEngine({ seed, numGemTypes: ENDLESS_STAGES[0].gemTypes });
+    const board = engine.newBoard();
+    stats = engine.getStats();
+
+    levelElement.textContent = '∞';
+    updateScore(stats.score);
+    updateGoalsUI();
+    updateUndoButton();
+    setStatus('Endless mode: how high can you score?');
+    announce('Endless mode: how high can you score?');
+    renderBoard(board, engine.getIce());
 
-    // Hide any open modals
     hideAllModals();
+    startTutorial([]);
+    scheduleIdleHint();
 }
 
-function updateGoalsUI(level) {
-    const goals = level.goals;
-
-    // Score goal
-    if (goals.score) {
-        goalScoreEl.classList.remove('hidden');
-        targetScoreEl.textContent = goals.score;
-        currentScoreEl.textContent = score;
-    } else {
-        goalScoreEl.classList.add('hidden');
-    }
-
-    // Moves display
-    movesLeftEl.textContent = movesLeft;
-
-    // Gem collection goal (primary)
-    if (goals.collectGem) {
-        goalGemsEl.classList.remove('hidden');
-        goalGemIconEl.textContent = GEM_SYMBOLS[goals.collectGem.type];
-        gemsTargetEl.textContent = goals.collectGem.count;
-        gemsCollectedEl.textContent = gemsCollected[goals.collectGem.type] || 0;
-    } else if (goals.collectAny) {
-        goalGemsEl.classList.remove('hidden');
-        goalGemIconEl.textContent = '💎';
-        gemsTargetEl.textContent = goals.collectAny;
-        gemsCollectedEl.textContent = totalGemsCollected;
+// Builds one goal item per level goal, ahead of the moves counter
+function updateGoalsUI() {
+    goalElements.forEach(element => element.remove());
+    goalElements = levelGoals.map(createGoalElement);
+    goalElements.forEach(element => goalsPanelEl.insertBefore(element, goalMovesEl));
+
+    // Moves display, the clock on timed levels, or the best run in endless mode
+    if (isEndless) {
+        movesIconEl.textContent = '🏆';
+        movesLabelEl.textContent = 'Best';
+        movesLeftEl.textContent = endlessHighScores.length > 0 ? endlessHighScores[0].score : 0;
+    } else if (isTimedLevel()) {
+        movesIconEl.textContent = '⏱️';
+        movesLabelEl.textContent = 'Time';
+        updateTimerDisplay();
     } else {
-        goalGemsEl.classList.add('hidden');
+        movesIconEl.textContent = '👆';
+        movesLabelEl.textContent = 'Moves';
+        movesLeftEl.textContent = movesLeft;
+        goalMovesEl.classList.toggle('warning', movesLeft <= 3);
     }
+
+    updateGoalsProgress();
+}
+
+function createGoalElement(goal) {
+    const goalType = GOAL_TYPES[goal.type];
+    const item = document.createElement('div');
+    item.className = `goal-item goal-${goal.type}`;
+
+    const icon = document.createElement('span');
+    icon.className = 'goal-icon';
+    icon.textContent = goalType.icon(goal);
+
+    const text = document.createElement('span');
+    text.className = 'goal-text';
+    text.innerHTML = `${goalType.label(goal)}: <span class="goal-current">0</span> / <span class="goal-target">0</span>`;
+
+    item.append(icon, text);
+    return item;
 }
 
 // ===========================================
 // PROGRESS PERSISTENCE
 // ===========================================
 
+// Reads the saved progress, keeping what it can of a damaged save
+// (see saves.js); returns the problems found
 function loadProgress() {
+    let text = null;
     try {
-        const saved = localStorage.getItem(CONFIG.STORAGE_KEY);
-        if (saved) {
-            const data = JSON.parse(saved);
-            levelProgress = data.levelProgress || {};
-            currentLevel = data.currentLevel || 1;
-        }
+        text = localStorage.getItem(CONFIG.STORAGE_KEY);
     } catch (e) {
         console.warn('Could not load progress:', e);
     }
+
+    const { save, problems } = readSave(text);
+    if (problems.length > 0) {
+        console.warn('Saved progress had problems; the rest was kept:', problems);
+        try {
+            localStorage.setItem(CONFIG.BACKUP_KEY, text);
+        } catch (e) {
+            console.warn('Could not back up progress:', e);
+        }
+    }
+
+    saveData = save;
+    useProfile(save.activeProfile);
+    return problems;
 }
 
 function saveProgress() {
+    Object.assign(saveData.profiles[saveData.activeProfile], {
+        packProgress,
+        currentPack: currentPack.id,
+        currentLevel,
+        endlessHighScores
+    });
     try {
-        localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify({
-            levelProgress,
-            currentLevel
-        }));
+        localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(saveData));
     } catch (e) {
         console.warn('Could not save progress:', e);
     }
 }
 
-function isLevelUnlocked(levelId) {
-    if (levelId === 1) return true;
-    // Level is unlocked if previous level is completed
-    return levelProgress[levelId - 1]?.completed === true;
+// Forgets the active profile's stars, current level and endless
+// high scores; other profiles, imported packs and settings stay
+function resetProgress() {
+    isEndless = false;  // A run in progress isn't recorded in the fresh progress
+    const profile = saveData.profiles[saveData.activeProfile];
+    saveData.profiles[saveData.activeProfile] = createProfile(profile.name);
+    useProfile(saveData.activeProfile);
+    saveProgress();
+
+    hideAllModals();
+    loadLevel(currentLevel);
+    announce('All progress has been reset.');
 }
 
 // ===========================================
-// GRID CREATION
+// PROFILES
 // ===========================================
 
-function createGrid() {
-    grid = [];
-    for (let row = 0; row < CONFIG.ROWS; row++) {
-        grid[row] = [];
-        for (let col = 0; col < CONFIG.COLS; col++) {
-            grid[row][col] = getRandomGemWithoutMatch(row, col);
-        }
+// Makes a profile's progress the one being played and saved
+function useProfile(id) {
+    const profile = saveData.profiles[id];
+    saveData.activeProfile = id;
+    packProgress = profile.packProgress;
+    currentPack = getPack(profile.currentPack) || CLASSIC_PACK;
+    currentLevel = profile.currentLevel;
+    if (!currentPack.levels.some(l => l.id === currentLevel)) {
+        currentLevel = currentPack.levels[0].id;
     }
+    endlessHighScores = profile.endlessHighScores.slice(0, CONFIG.MAX_HIGH_SCORES);
+    endlessEntry = null;
+}
+
+// Plays on as another profile, from its current level; an endless
+// run in progress stays with the profile that played it
+function switchProfile(id) {
+    recordEndlessScore();
+    isEndless = false;
+    saveProgress();
+    useProfile(id);
+    saveProgress();
+    loadLevel(currentLevel);
+    announce(`Playing as ${saveData.profiles[id].name}.`);
 }
 
-function getRandomGemWithoutMatch(row, col) {
-    let gemType;
-    let attempts = 0;
+function createNewProfile(name) {
+    switchProfile(addProfile(saveData, name));
+}
 
-    do {
-        gemType = Math.floor(Math.random() * CONFIG.NUM_GEM_TYPES);
-        attempts++;
-        if (attempts >= 100) break;
-    } while (wouldCreateMatch(row, col, gemType));
+function deleteActiveProfile() {
+    if (!removeProfile(saveData, saveData.activeProfile)) return;
+    isEndless = false;  // A run in progress goes with its profile
+    useProfile(saveData.activeProfile);
+    saveProgress();
+    loadLevel(currentLevel);
+    announce(`Playing as ${saveData.profiles[saveData.activeProfile].name}.`);
+}
 
-    return gemType;
+// Downloads every profile's progress, to import in another browser
+function exportProgress() {
+    saveProgress();
+    const blob = new Blob([JSON.stringify(saveData, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'gem-garden-progress.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
 }
 
-function wouldCreateMatch(row, col, gemType) {
-    if (col >= 2 && grid[row][col - 1] === gemType && grid[row][col - 2] === gemType) {
-        return true;
+/**
+ * Adds the profiles from an exported progress file alongside
+ * the ones here and plays as the file's active profile.
+ * Resolves to { added, problems }: the number of profiles
+ * added and what couldn't be read (see readSave()).
+ */
+async function importProgressFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (e) {
+        return { added: 0, problems: [`not valid JSON: ${e.message}`] };
+    }
+    if (saveVersion(data) === null) {
+        return { added: 0, problems: ['not a Gem Garden progress file'] };
+    }
+
+    const { save, problems } = upgradeSave(data);
+    if (Object.keys(save.profiles).length === 0) {
+        return { added: 0, problems: [...problems, 'no profiles to import'] };
     }
-    if (row >= 2 && grid[row - 1][col] === gemType && grid[row - 2][col] === gemType) {
-        return true;
+    const [first, ...rest] = mergeSave(saveData, save);
+    switchProfile(first);
+    return { added: 1 + rest.length, problems };
+}
+
+function getPackProgress(pack = currentPack) {
+    if (!packProgress[pack.id]) {
+        packProgress[pack.id] = {};
     }
-    return false;
+    return packProgress[pack.id];
+}
+
+// A pack's first level is always open; each one after needs the one before it
+function isLevelUnlocked(pack, index) {
+    if (index === 0) return true;
+    return getPackProgress(pack)[pack.levels[index - 1].id]?.completed === true;
+}
+
+function getNextLevel() {
+    const index = currentPack.levels.findIndex(l => l.id === currentLevel);
+    return currentPack.levels[index + 1] || null;
 }
 
 // ===========================================
 // RENDERING
 // ===========================================
 
-function renderBoard() {
+// Shows a board, only touching the cells that changed since the last
+// one; the gem elements are only built again for a new engine
+function renderBoard(board, ice = displayIce) {
+    displayIce = ice;
+    if (shownEngine !== engine) {
+        buildBoard(board);
+    } else {
+        for (let row = 0; row < engine.rows; row++) {
+            for (let col = 0; col < engine.cols; col++) {
+                if (shownCells[row][col] !== cellKey(board[row][col], ice[row][col])) {
+                    updateGemElement(row, col, board[row][col]);
+                }
+            }
+        }
+    }
+
+    if (canvasRenderer) canvasRenderer.setBoard(board, ice);
+}
+
+function buildBoard(board) {
+    shownEngine = engine;
+    shownCells = board.map(line => line.map(() => null));
     boardElement.innerHTML = '';
-    for (let row = 0; row < CONFIG.ROWS; row++) {
-        for (let col = 0; col < CONFIG.COLS; col++) {
-            const gemElement = createGemElement(row, col);
-            boardElement.appendChild(gemElement);
+    boardElement.style.gridTemplateColumns = `repeat(${engine.cols}, 1fr)`;
+    boardElement.style.gridTemplateRows = `repeat(${engine.rows}, 1fr)`;
+    boardElement.style.aspectRatio = `${engine.cols} / ${engine.rows}`;
+    // Rows only group the cells for screen readers; the gems sit in the board's grid
+    for (let row = 0; row < engine.rows; row++) {
+        const rowElement = document.createElement('div');
+        rowElement.className = 'board-row';
+        rowElement.setAttribute('role', 'row');
+        for (let col = 0; col < engine.cols; col++) {
+            rowElement.appendChild(createGemElement(row, col, board[row][col]));
         }
+        boardElement.appendChild(rowElement);
+    }
+
+    // The canvas goes last so the rows keep their indexes (see getGemElement)
+    if (canvasRenderer) {
+        boardElement.appendChild(canvasRenderer.canvas);
+        canvasRenderer.reset(engine);
     }
 }
 
-function createGemElement(row, col) {
+function createGemElement(row, col, gemData) {
     const gem = document.createElement('div');
-    const gemType = grid[row][col];
 
-    gem.className = `gem gem-${gemType}`;
+    gem.id = `gem-${row}-${col}`;
+    gem.setAttribute('role', 'gridcell');
     gem.dataset.row = row;
     gem.dataset.col = col;
-    gem.textContent = GEM_SYMBOLS[gemType];
-    gem.addEventListener('click', () => handleGemClick(row, col));
+    applyGemAppearance(gem, gemData);
+    shownCells[row][col] = cellKey(gemData, displayIce[row][col]);
+    gem.addEventListener('pointerdown', event => startSwipe(event, row, col));
+    gem.addEventListener('animationend', () => gem.classList.remove('moving', 'spawning'));
+    gem.addEventListener('click', () => {
+        if (!isSwipeClick() && CONFIG.INPUT_MODE !== 'drag') handleGemClick(row, col);
+    });
 
     return gem;
 }
 
-function updateGemElement(row, col) {
-    const index = row * CONFIG.COLS + col;
-    const gemElement = boardElement.children[index];
-    const gemType = grid[row][col];
+function updateGemElement(row, col, gemData) {
+    applyGemAppearance(getGemElement(row, col), gemData);
+    shownCells[row][col] = cellKey(gemData, displayIce[row][col]);
+}
+
+function cellKey(gemData, iceLayers) {
+    return JSON.stringify([gemData, iceLayers]);
+}
+
+/**
+ * Slides the gem now in (row, col) in from the cell it came
+ * from; `spawning` also fades in a new gem falling in from
+ * above the board. See .gem.moving in style.css.
+ */
+function slideGem(row, col, fromRow, fromCol, className = 'moving', duration = CONFIG.ANIMATION_DELAY) {
+    const element = getGemElement(row, col);
+    element.classList.remove('moving', 'spawning');
+    element.style.setProperty('--from-row', fromRow - row);
+    element.style.setProperty('--from-col', fromCol - col);
+    element.style.setProperty('--move-time', `${duration}ms`);
+    void element.offsetWidth;  // Restarts the animation on a gem that just moved
+    element.classList.add(className);
+}
+
+function applyGemAppearance(element, gemData) {
+    const row = Number(element.dataset.row);
+    const col = Number(element.dataset.col);
+    const iceLayers = displayIce[row][col];
+
+    element.setAttribute('aria-label', describeCell(row, col, gemData, iceLayers));
+
+    if (engine.isVoid(row, col)) {
+        element.className = 'gem void';
+        element.textContent = '';
+        return;
+    }
+
+    if (gemData === EMPTY) {
+        element.className = 'gem empty';
+        element.textContent = '';
+    } else if (gemData.blocker === BLOCKER.STONE) {
+        element.className = 'gem stone';
+        element.textContent = STONE_SYMBOL;
+    } else if (gemData.ingredient) {
+        element.className = 'gem ingredient';
+        element.textContent = INGREDIENT_SYMBOL;
+    } else if (gemData.special === SPECIAL.COLOR_BOMB) {
+        element.className = 'gem special-colorBomb';
+        element.textContent = COLOR_BOMB_SYMBOL;
+    } else {
+        element.className = `gem gem-${gemData.color}`;
+        if (gemData.special) {
+            element.classList.add(`special-${gemData.special}`);
+        }
+        element.textContent = GEM_SYMBOLS[gemData.color];
+
+        const mark = document.createElement('span');
+        mark.className = 'gem-mark';
+        mark.setAttribute('aria-hidden', 'true');
+        mark.textContent = GEM_MARKS[gemData.color];
+        element.appendChild(mark);
+    }
+
+    if (gemData !== EMPTY && gemData.locked) {
+        element.classList.add('locked');
+    }
+    if (iceLayers > 0) {
+        element.classList.add('ice', `ice-${iceLayers}`);
+    }
+    if (isKeyboardCursor(row, col)) {
+        element.classList.add('cursor');
+    }
+}
+
+// What a screen reader says for a cell, e.g. "Ruby, striped across, 2 layers of ice, row 3, column 5"
+function describeCell(row, col, gemData, iceLayers) {
+    const parts = [];
+    if (engine.isVoid(row, col)) {
+        parts.push('No cell');
+    } else if (gemData === EMPTY) {
+        parts.push('Empty');
+    } else if (gemData.blocker === BLOCKER.STONE) {
+        parts.push('Stone');
+    } else if (gemData.ingredient) {
+        parts.push('Ingredient');
+    } else if (gemData.special === SPECIAL.COLOR_BOMB) {
+        parts.push(SPECIAL_NAMES[SPECIAL.COLOR_BOMB]);
+    } else {
+        parts.push(GEM_NAMES[gemData.color]);
+        if (gemData.special) parts.push(SPECIAL_DESCRIPTIONS[gemData.special]);
+    }
 
-    gemElement.className = `gem gem-${gemType}`;
-    gemElement.textContent = GEM_SYMBOLS[gemType];
+    if (gemData !== EMPTY && gemData.locked) parts.push('locked');
+    if (iceLayers > 0) parts.push(iceLayers === 1 ? '1 layer of ice' : `${iceLayers} layers of ice`);
+    parts.push(`row ${row + 1}`, `column ${col + 1}`);
+    return parts.join(', ');
 }
 
 function getGemElement(row, col) {
-    const index = row * CONFIG.COLS + col;
-    return boardElement.children[index];
+    return boardElement.children[row].children[col];
+}
+
+// ===========================================
+// CANVAS RENDERER
+// ===========================================
+
+// Draws the gems on a canvas instead (see canvas-renderer.js); the
+// gem elements stay, see-through, for input and screen readers
+function useCanvasRenderer() {
+    canvasRenderer = createCanvasRenderer({
+        layout: boardLayout,
+        durations: () => ({ swap: CONFIG.SWAP_DELAY, step: CONFIG.ANIMATION_DELAY }),
+        sprites: CONFIG.GEM_SPRITES,
+        symbols: { stone: STONE_SYMBOL, ingredient: INGREDIENT_SYMBOL, marks: GEM_MARKS },
+        highContrast: () => document.body.classList.contains('high-contrast')
+    });
+    if (!canvasRenderer) {
+        console.warn('Canvas is not available; using the DOM board');
+        // Keep the settings dialog showing the board that is drawn
+        if (CONFIG.RENDERER === 'canvas') changeSetting('renderer', 'dom');
+        return;
+    }
+    boardElement.classList.add('canvas-mode');
+}
+
+// Switches renderer mid-game, from the settings
+function setRenderer(name) {
+    if ((name === 'canvas') === Boolean(canvasRenderer)) return;
+
+    if (name === 'canvas') {
+        useCanvasRenderer();
+    } else {
+        canvasRenderer.destroy();
+        canvasRenderer = null;
+        boardElement.classList.remove('canvas-mode');
+    }
+
+    // A fresh board picks up the new renderer; a move in progress redraws into it
+    deselectGem();
+    clearHint();
+    shownEngine = null;
+    renderBoard(engine.getBoard());
+    showTutorialStep();
+    if (keyboardCursor) showKeyboardCursor(keyboardCursor);
+}
+
+// Where the gem elements sit, so the canvas draws under them
+function boardLayout() {
+    const first = getGemElement(0, 0);
+    const next = getGemElement(Math.min(1, engine.rows - 1), Math.min(1, engine.cols - 1));
+    return {
+        x: first.offsetLeft,
+        y: first.offsetTop,
+        size: first.offsetWidth,
+        pitch: next.offsetLeft - first.offsetLeft || first.offsetWidth
+    };
 }
 
 // ===========================================
 // USER INTERACTION
 // ===========================================
 
+// Whether the player may pick this gem right now
+function canPickGem(row, col) {
+    const onBoard = row >= 0 && row < engine.rows && col >= 0 && col < engine.cols;
+    return onBoard && !isProcessing && !levelOver && !engine.isVoid(row, col) && tutorialAllowsGem(row, col);
+}
+
 function handleGemClick(row, col) {
-    if (isProcessing) return;
+    if (!canPickGem(row, col)) return;
     clearHint();
+    scheduleIdleHint();
 
     const clickedGem = { row, col };
 
@@ -276,7 +727,7 @@ function handleGemClick(row, col) {
         return;
     }
 
-    if (isAdjacent(selectedGem, clickedGem)) {
+    if (engine.isAdjacent(selectedGem, clickedGem)) {
         trySwap(selectedGem.row, selectedGem.col, row, col);
     } else {
         deselectGem();
@@ -284,20 +735,31 @@ function handleGemClick(row, col) {
     }
 }
 
-function isAdjacent(pos1, pos2) {
-    const rowDiff = Math.abs(pos1.row - pos2.row);
-    const colDiff = Math.abs(pos1.col - pos2.col);
-    return (rowDiff === 1 && colDiff === 0) || (rowDiff === 0 && colDiff === 1);
+// Swaps a gem with its neighbour one step away, for swipes and the
+// keyboard (input.js); false if that swap can't be made
+function swapGemTowards(row, col, [rowStep, colStep]) {
+    const target = { row: row + rowStep, col: col + colStep };
+    if (!canPickGem(row, col) || !canPickGem(target.row, target.col)) return false;
+
+    clearHint();
+    scheduleIdleHint();
+    trySwap(row, col, target.row, target.col);
+    return true;
 }
 
 function selectGem(row, col) {
     selectedGem = { row, col };
-    getGemElement(row, col).classList.add('selected');
+    const gem = getGemElement(row, col);
+    gem.classList.add('selected');
+    gem.setAttribute('aria-selected', 'true');
+    playSound('select');
 }
 
 function deselectGem() {
     if (selectedGem) {
-        getGemElement(selectedGem.row, selectedGem.col).classList.remove('selected');
+        const gem = getGemElement(selectedGem.row, selectedGem.col);
+        gem.classList.remove('selected');
+        gem.removeAttribute('aria-selected');
         selectedGem = null;
     }
 }
@@ -309,239 +771,373 @@ function deselectGem() {
 async function trySwap(row1, col1, row2, col2) {
     isProcessing = true;
     deselectGem();
+    updateUndoButton();
+    tutorialSwapStarted();
 
-    swap(row1, col1, row2, col2);
-    updateGemElement(row1, col1);
-    updateGemElement(row2, col2);
+    const before = takeSnapshot();
+    const goalsBefore = levelGoals.map(goal => getGoalProgress(goal, stats).current);
+    const result = engine.trySwap({ row: row1, col: col1 }, { row: row2, col: col2 });
 
-    const matches = findAllMatches();
+    if (result.valid) {
+        pushUndo(before);
+        moveLog.push({ from: { row: row1, col: col1 }, to: { row: row2, col: col2 } });
 
-    if (matches.length > 0) {
-        // Valid move - use a move
-        movesLeft--;
-        movesLeftEl.textContent = movesLeft;
+        // Valid move - use a move (timed levels only count the clock)
+        if (!isTimedLevel() && !isEndless) {
+            movesLeft--;
+            movesLeftEl.textContent = movesLeft;
 
-        // Update moves warning
-        if (movesLeft <= 3) {
-            goalMovesEl.classList.add('warning');
+            // Update moves warning
+            if (movesLeft <= 3) {
+                goalMovesEl.classList.add('warning');
+            }
         }
 
         setStatus('Nice match!');
-        await processMatches(matches);
+    }
+
+    await playEvents(result.events);
+    announceGoalProgress(goalsBefore);
 
+    if (isEndless) {
+        if (result.valid) {
+            await raiseEndlessDifficulty();
+        }
+    } else if (result.valid || isOutOfTurns()) {
+        // Time may have run out while the cascade was playing
         // Check win/lose after processing
         checkLevelEnd();
-    } else {
-        setStatus('No match! Try again.');
-        getGemElement(row1, col1).classList.add('invalid');
-        getGemElement(row2, col2).classList.add('invalid');
+    }
 
-        await delay(CONFIG.ANIMATION_DELAY);
+    tutorialSwapDone({ row: row1, col: col1 }, { row: row2, col: col2 }, result.valid);
+    isProcessing = false;
+    updateUndoButton();
+    scheduleIdleHint();
+}
 
-        swap(row1, col1, row2, col2);
-        updateGemElement(row1, col1);
-        updateGemElement(row2, col2);
+// ===========================================
+// UNDO
+// ===========================================
 
-        getGemElement(row1, col1).classList.remove('invalid');
-        getGemElement(row2, col2).classList.remove('invalid');
-    }
+// Everything a move changes; the clock on timed levels keeps running
+function takeSnapshot() {
+    return {
+        engineState: engine.getState(),
+        movesLeft,
+        endlessStage
+    };
+}
 
-    if (!hasValidMoves()) {
-        setStatus('No moves left! Shuffling...');
-        await delay(500);
-        shuffleBoard();
-        setStatus('Board shuffled!');
+// Only as many moves as there are undos left can be taken back
+function pushUndo(snapshot) {
+    undoStack.push(snapshot);
+    if (undoStack.length > undosLeft) {
+        undoStack.shift();
     }
+}
 
-    isProcessing = false;
+function canUndo() {
+    return !isProcessing && !levelOver && !isTutorialActive() && undosLeft > 0 && undoStack.length > 0;
 }
 
-function swap(row1, col1, row2, col2) {
-    const temp = grid[row1][col1];
-    grid[row1][col1] = grid[row2][col2];
-    grid[row2][col2] = temp;
+function undoMove() {
+    if (!canUndo()) return;
+    clearHint();
+    deselectGem();
+
+    const snapshot = undoStack.pop();
+    undosLeft--;
+    moveLog.pop();
+
+    engine.setState(snapshot.engineState);
+    movesLeft = snapshot.movesLeft;
+    endlessStage = snapshot.endlessStage;
+    stats = engine.getStats();
+
+    updateScore(stats.score);
+    updateGoalsUI();
+    renderBoard(engine.getBoard(), engine.getIce());
+    updateUndoButton();
+    scheduleIdleHint();
+    setStatus('Move undone!');
+    announce('Move undone.');
+}
+
+function updateUndoButton() {
+    undoBtn.textContent = `Undo (${undosLeft})`;
+    undoBtn.disabled = !canUndo();
 }
 
 // ===========================================
-// MATCH DETECTION
+// EVENT PLAYBACK
 // ===========================================
 
-function findAllMatches() {
-    const matches = new Set();
-
-    // Horizontal
-    for (let row = 0; row < CONFIG.ROWS; row++) {
-        for (let col = 0; col < CONFIG.COLS - 2; col++) {
-            const gemType = grid[row][col];
-            if (grid[row][col + 1] === gemType && grid[row][col + 2] === gemType) {
-                let matchEnd = col + 2;
-                while (matchEnd + 1 < CONFIG.COLS && grid[row][matchEnd + 1] === gemType) {
-                    matchEnd++;
+// Replays the engine's events one step at a time so the player
+// sees each swap, match, fall and refill.
+async function playEvents(events) {
+    for (const event of events) {
+        if (canvasRenderer) canvasRenderer.playEvent(event);
+
+        switch (event.type) {
+            case 'swap':
+                await animateSwap(event);
+                break;
+
+            case 'revert':
+                setStatus('No match! Try again.');
+                announce('No match.');
+                playSound('invalid');
+                await animateInvalidSwap(event);
+                break;
+
+            case 'blocked':
+                setStatus("Stones and locked gems can't be moved!");
+                announce("Stones and locked gems can't be moved.");
+                playSound('invalid');
+                await animateInvalidSwap(event);
+                break;
+
+            case 'match':
+                await animateMatch(event);
+                break;
+
+            case 'ingredient':
+                await animateIngredients(event);
+                break;
+
+            case 'gravity':
+                await animateGravity(event);
+                break;
+
+            case 'refill':
+                await animateRefill(event);
+                break;
+
+            case 'shuffle':
+                setStatus('No moves left! Shuffling...');
+                await delay(500);
+                renderBoard(event.board, event.ice);
+                setStatus('Board shuffled!');
+                announce('No moves left, so the board was shuffled.');
+                break;
+
+            case 'blockers':
+                renderBoard(event.board, event.ice);
+                for (const { row, col } of event.stones) {
+                    getGemElement(row, col).classList.add('falling');
                 }
-                for (let c = col; c <= matchEnd; c++) {
-                    matches.add(`${row},${c}`);
+                await delay(CONFIG.ANIMATION_DELAY);
+                for (const { row, col } of event.stones) {
+                    getGemElement(row, col).classList.remove('falling');
                 }
-                col = matchEnd;
-            }
+                break;
         }
     }
 
-    // Vertical
-    for (let col = 0; col < CONFIG.COLS; col++) {
-        for (let row = 0; row < CONFIG.ROWS - 2; row++) {
-            const gemType = grid[row][col];
-            if (grid[row + 1][col] === gemType && grid[row + 2][col] === gemType) {
-                let matchEnd = row + 2;
-                while (matchEnd + 1 < CONFIG.ROWS && grid[matchEnd + 1][col] === gemType) {
-                    matchEnd++;
-                }
-                for (let r = row; r <= matchEnd; r++) {
-                    matches.add(`${r},${col}`);
-                }
-                row = matchEnd;
-            }
-        }
+    const last = events[events.length - 1];
+    if (last && !['shuffle', 'revert', 'blocked', 'blockers'].includes(last.type)) {
+        setStatus('Match 3 or more gems!');
     }
-
-    return Array.from(matches).map(pos => {
-        const [row, col] = pos.split(',').map(Number);
-        return { row, col };
-    });
 }
 
-// ===========================================
-// MATCH PROCESSING
-// ===========================================
-
-async function processMatches(matches) {
-    let cascadeLevel = 0;
+async function animateSwap({ from, to, board, ice }) {
+    renderBoard(board, ice);
+    slideGem(from.row, from.col, to.row, to.col, 'moving', CONFIG.SWAP_DELAY);
+    slideGem(to.row, to.col, from.row, from.col, 'moving', CONFIG.SWAP_DELAY);
+    await delay(CONFIG.SWAP_DELAY);
+}
 
-    while (matches.length > 0) {
-        cascadeLevel++;
+// A swap that made no match shakes and slides back; a blocked one only shakes
+async function animateInvalidSwap(event) {
+    const { from, to } = event;
+    getGemElement(from.row, from.col).classList.add('invalid');
+    getGemElement(to.row, to.col).classList.add('invalid');
 
-        // Track collected gems
-        for (const { row, col } of matches) {
-            const gemType = grid[row][col];
-            gemsCollected[gemType] = (gemsCollected[gemType] || 0) + 1;
-            totalGemsCollected++;
-        }
+    await delay(CONFIG.ANIMATION_DELAY);
 
-        // Calculate points
-        const points = matches.length * CONFIG.POINTS_PER_GEM * cascadeLevel;
-        updateScore(points);
+    getGemElement(from.row, from.col).classList.remove('invalid');
+    getGemElement(to.row, to.col).classList.remove('invalid');
 
-        if (cascadeLevel > 1) {
-            setStatus(`Cascade x${cascadeLevel}! +${points} points!`, true);
-        }
+    if (event.type === 'revert') {
+        await animateSwap(event);
+    }
+}
 
-        // Update goals display
-        updateGoalsProgress();
+async function animateMatch(event) {
+    stats = event.stats;
+    updateScore(stats.score);
+
+    if (event.combo) {
+        setStatus(`${COMBO_NAMES[event.combo]}! +${event.points} points!`, true);
+    } else if (event.cascade > 1 && isTimedLevel()) {
+        addTime(CONFIG.TIME_BONUS_PER_CASCADE);
+        setStatus(`Cascade x${event.cascade}! +${event.points} points, +${CONFIG.TIME_BONUS_PER_CASCADE}s!`, true);
+    } else if (event.cascade > 1) {
+        setStatus(`Cascade x${event.cascade}! +${event.points} points!`, true);
+    } else if (event.specials.length > 0) {
+        setStatus(`${SPECIAL_NAMES[event.specials[0].gem.special]} created!`, true);
+    }
 
-        await animateMatches(matches);
-        removeMatches(matches);
-        await applyGravity();
-        await fillEmptySpaces();
+    // Update goals display
+    updateGoalsProgress();
+    announce(describeMatch(event));
+    playSound('match', 2 * (event.cascade - 1));  // Each cascade step a tone higher
 
-        matches = findAllMatches();
+    for (const { row, col } of event.cells) {
+        getGemElement(row, col).classList.remove('moving');  // A sliding bomb would go on glowing
+        getGemElement(row, col).classList.add('matched');
+    }
+    for (const { row, col } of event.stones) {
+        getGemElement(row, col).classList.add('matched');
     }
+    await delay(CONFIG.ANIMATION_DELAY);
 
-    setStatus('Match 3 or more gems!');
+    // Show new specials, broken locks and cracked ice before gems fall;
+    // a cell that looks the same afterwards keeps its element, so its pop ends here
+    renderBoard(event.board, event.ice);
+    boardElement.querySelectorAll('.gem.matched').forEach(gem => gem.classList.remove('matched'));
 }
 
-function updateGoalsProgress() {
-    const level = LEVELS.find(l => l.id === currentLevel);
-    const goals = level.goals;
+async function animateIngredients(event) {
+    stats = event.stats;
+    setStatus('Ingredient collected!', true);
+    updateGoalsProgress();
 
-    // Update score display
-    currentScoreEl.textContent = score;
-    if (goals.score && score >= goals.score) {
-        goalScoreEl.classList.add('completed');
+    for (const { row, col } of event.cells) {
+        getGemElement(row, col).classList.add('collected');
     }
+    await delay(CONFIG.ANIMATION_DELAY);
+}
 
-    // Update gem collection display
-    if (goals.collectGem) {
-        const collected = gemsCollected[goals.collectGem.type] || 0;
-        gemsCollectedEl.textContent = collected;
-        if (collected >= goals.collectGem.count) {
-            goalGemsEl.classList.add('completed');
-        }
-    } else if (goals.collectAny) {
-        gemsCollectedEl.textContent = totalGemsCollected;
-        if (totalGemsCollected >= goals.collectAny) {
-            goalGemsEl.classList.add('completed');
-        }
+// Each gem falls as far as it moved, so columns settle at their own pace
+async function animateGravity(event) {
+    renderBoard(event.board, event.ice);
+    for (const { from, to } of event.moves) {
+        slideGem(to.row, to.col, from.row, from.col);
     }
+    await delay(CONFIG.ANIMATION_DELAY);
 }
 
-async function animateMatches(matches) {
-    for (const { row, col } of matches) {
-        getGemElement(row, col).classList.add('matched');
+// New gems drop in from above the board, as many rows as their column is refilling
+async function animateRefill(event) {
+    renderBoard(event.board, event.ice);
+    for (const { row, col } of event.cells) {
+        const drop = event.cells.filter(cell => cell.col === col).length;
+        slideGem(row, col, row - drop, col, 'spawning');
     }
     await delay(CONFIG.ANIMATION_DELAY);
 }
 
-function removeMatches(matches) {
-    for (const { row, col } of matches) {
-        grid[row][col] = -1;
+// e.g. "Cascade 2: 3 Ruby and 3 Emerald, 120 points. Striped gem made."
+function describeMatch(event) {
+    const counts = new Map();
+    for (const { gem } of event.cells) {
+        if (gem.color !== null) counts.set(gem.color, (counts.get(gem.color) || 0) + 1);
+    }
+    const gems = counts.size > 0
+        ? [...counts].map(([color, count]) => `${count} ${GEM_NAMES[color]}`).join(' and ')
+        : `${event.cells.length} gems`;
+
+    let message = event.combo ? `${COMBO_NAMES[event.combo]}: ${gems}`
+        : event.cascade > 1 ? `Cascade ${event.cascade}: ${gems}`
+        : `Matched ${gems}`;
+    message += `, ${event.points} points.`;
+    for (const { gem } of event.specials) {
+        message += ` ${SPECIAL_NAMES[gem.special]} made.`;
     }
+    return message;
 }
 
-// ===========================================
-// GRAVITY & FILLING
-// ===========================================
-
-async function applyGravity() {
-    let gemsFell = false;
+// Reads out each goal a move got closer to, e.g. "Ruby: 7 of 10."
+function announceGoalProgress(before) {
+    levelGoals.forEach((goal, index) => {
+        const progress = getGoalProgress(goal, stats);
+        if (progress.current === before[index]) return;
 
-    for (let col = 0; col < CONFIG.COLS; col++) {
-        let emptyRow = CONFIG.ROWS - 1;
+        const label = GOAL_TYPES[goal.type].label(goal);
+        announce(progress.complete
+            ? `${label} goal done!`
+            : `${label}: ${progress.current} of ${progress.target}.`);
+    });
+}
 
-        for (let row = CONFIG.ROWS - 1; row >= 0; row--) {
-            if (grid[row][col] !== -1) {
-                if (row !== emptyRow) {
-                    grid[emptyRow][col] = grid[row][col];
-                    grid[row][col] = -1;
-                    gemsFell = true;
-                }
-                emptyRow--;
-            }
+function updateGoalsProgress() {
+    levelGoals.forEach((goal, index) => {
+        const element = goalElements[index];
+        const progress = getGoalProgress(goal, stats);
+        if (progress.complete && !element.classList.contains('completed')) {
+            playSound('goal');
         }
-    }
+        element.querySelector('.goal-current').textContent = progress.current;
+        element.querySelector('.goal-target').textContent = progress.target;
+        element.classList.toggle('completed', progress.complete);
+    });
+}
+
+// ===========================================
+// ENDLESS MODE
+// ===========================================
 
-    if (gemsFell) {
-        renderBoard();
-        await delay(CONFIG.ANIMATION_DELAY);
+// Moves the run on to the highest stage its score has reached
+async function raiseEndlessDifficulty() {
+    let next = endlessStage;
+    while (next + 1 < ENDLESS_STAGES.length && stats.score >= ENDLESS_STAGES[next + 1].score) {
+        next++;
     }
+    if (next === endlessStage) return;
+
+    // Stages skipped by one big cascade still add their blockers
+    const reached = ENDLESS_STAGES.slice(endlessStage + 1, next + 1);
+    endlessStage = next;
+    engine.setGemTypes(ENDLESS_STAGES[next].gemTypes);
+
+    const stones = reached.reduce((total, stage) => total + (stage.stones || 0), 0);
+    const ice = reached.reduce((total, stage) => total + (stage.ice || 0), 0);
+    if (stones > 0 || ice > 0) {
+        await playEvents(engine.addBlockers({ stones, ice }));
+        stats = engine.getStats();
+    }
+
+    setStatus(`Difficulty up! Stage ${next + 1}`, true);
+    announce(`Difficulty up: stage ${next + 1}.`);
 }
 
-async function fillEmptySpaces() {
-    let filled = false;
+// Puts the current run in the high-score table, or updates its row
+// there, so a run is kept however the player leaves it
+function recordEndlessScore() {
+    if (!isEndless || stats.score === 0) return;
 
-    for (let col = 0; col < CONFIG.COLS; col++) {
-        for (let row = 0; row < CONFIG.ROWS; row++) {
-            if (grid[row][col] === -1) {
-                grid[row][col] = Math.floor(Math.random() * CONFIG.NUM_GEM_TYPES);
-                filled = true;
-            }
-        }
+    if (!endlessEntry) {
+        endlessEntry = { score: 0, date: new Date().toISOString() };
     }
+    endlessEntry.score = stats.score;
+    if (!endlessHighScores.includes(endlessEntry)) {
+        endlessHighScores.push(endlessEntry);
+    }
+    endlessHighScores.sort((a, b) => b.score - a.score);
+    endlessHighScores = endlessHighScores.slice(0, CONFIG.MAX_HIGH_SCORES);
+    saveProgress();
+}
 
-    if (filled) {
-        renderBoard();
+function renderEndlessHighScores() {
+    const list = document.getElementById('endless-high-scores');
+    list.innerHTML = '';
 
-        for (let row = 0; row < CONFIG.ROWS; row++) {
-            for (let col = 0; col < CONFIG.COLS; col++) {
-                getGemElement(row, col).classList.add('falling');
-            }
-        }
-
-        await delay(CONFIG.ANIMATION_DELAY);
+    if (endlessHighScores.length === 0) {
+        const item = document.createElement('li');
+        item.className = 'empty';
+        item.textContent = 'No endless runs yet';
+        list.appendChild(item);
+        return;
+    }
 
-        for (let row = 0; row < CONFIG.ROWS; row++) {
-            for (let col = 0; col < CONFIG.COLS; col++) {
-                getGemElement(row, col).classList.remove('falling');
-            }
-        }
+    for (const { score, date } of endlessHighScores) {
+        const item = document.createElement('li');
+        const when = document.createElement('span');
+        when.className = 'high-score-date';
+        when.textContent = new Date(date).toLocaleDateString();
+        item.append(String(score), when);
+        list.appendChild(item);
     }
 }
 
@@ -550,18 +1146,27 @@ async function fillEmptySpaces() {
 // ===========================================
 
 function checkLevelEnd() {
-    const level = LEVELS.find(l => l.id === currentLevel);
-    const goals = level.goals;
+    if (levelOver) return;
+
+    const level = activeLevel;
 
     // Check if all goals are met
-    const goalsComplete = checkAllGoalsComplete(goals);
+    const goalsComplete = allGoalsComplete(levelGoals, stats);
+
+    if (goalsComplete || isOutOfTurns()) {
+        levelOver = true;
+        stopTimer();
+        endTutorial();
+        updateUndoButton();
+        clearIdleHint();
+    }
 
     if (goalsComplete) {
         // Level complete!
         setTimeout(() => showLevelComplete(level), 500);
-    } else if (movesLeft <= 0) {
+    } else if (isOutOfTurns()) {
         // Out of moves - check if goals were met
-        if (checkAllGoalsComplete(goals)) {
+        if (allGoalsComplete(levelGoals, stats)) {
             setTimeout(() => showLevelComplete(level), 500);
         } else {
             setTimeout(() => showLevelFailed(level), 500);
@@ -569,40 +1174,19 @@ function checkLevelEnd() {
     }
 }
 
-function checkAllGoalsComplete(goals) {
-    // Check score goal
-    if (goals.score && score < goals.score) {
-        return false;
-    }
-
-    // Check gem collection goals
-    if (goals.collectGem) {
-        if ((gemsCollected[goals.collectGem.type] || 0) < goals.collectGem.count) {
-            return false;
-        }
-    }
-
-    if (goals.collectGem2) {
-        if ((gemsCollected[goals.collectGem2.type] || 0) < goals.collectGem2.count) {
-            return false;
-        }
-    }
-
-    if (goals.collectGem3) {
-        if ((gemsCollected[goals.collectGem3.type] || 0) < goals.collectGem3.count) {
-            return false;
-        }
-    }
-
-    if (goals.collectAny && totalGemsCollected < goals.collectAny) {
-        return false;
+function restartLevel() {
+    if (isEndless) {
+        startEndless();
+    } else if (isTestLevel) {
+        playLevel(activeLevel, undefined, { test: true });
+    } else {
+        loadLevel(currentLevel);
     }
-
-    return true;
 }
 
 function calculateStars(level) {
     const thresholds = level.starThresholds;
+    const score = stats.score;
     let stars = 0;
 
     if (score >= thresholds[0]) stars = 1;
@@ -618,66 +1202,141 @@ function calculateStars(level) {
 
 function showLevelComplete(level) {
     const stars = calculateStars(level);
-    const movesUsed = totalMoves - movesLeft;
-
-    // Update progress
-    const existingProgress = levelProgress[level.id] || {};
-    levelProgress[level.id] = {
-        completed: true,
-        stars: Math.max(existingProgress.stars || 0, stars),
-        bestScore: Math.max(existingProgress.bestScore || 0, score)
-    };
-    saveProgress();
+    const movesUsed = moveLog.length;
+
+    // Update progress (test levels from the editor aren't saved)
+    if (!isTestLevel) {
+        const progress = getPackProgress();
+        const existingProgress = progress[level.id] || {};
+        progress[level.id] = {
+            completed: true,
+            stars: Math.max(existingProgress.stars || 0, stars),
+            bestScore: Math.max(existingProgress.bestScore || 0, stats.score)
+        };
+        saveProgress();
+    }
 
     // Update modal
-    document.getElementById('final-score').textContent = score;
+    document.getElementById('final-score').textContent = stats.score;
     document.getElementById('moves-used').textContent = movesUsed;
+    document.getElementById('complete-seed').textContent = engine.seed;
+    showReplayButton(document.getElementById('complete-replay-btn'));
 
     // Update stars display
     const starsContainer = document.getElementById('stars');
     const starElements = starsContainer.querySelectorAll('.star');
+    starsContainer.setAttribute('aria-label', `${stars} of ${starElements.length} stars`);
     starElements.forEach((star, index) => {
         star.classList.remove('earned');
         if (index < stars) {
-            setTimeout(() => star.classList.add('earned'), index * 300);
+            setTimeout(() => {
+                star.classList.add('earned');
+                playSound('star', index * 4);
+            }, 600 + index * 300);  // After the fanfare
         }
     });
 
     // Show/hide next level button
     const nextBtn = document.getElementById('next-level-btn');
-    if (currentLevel < LEVELS.length) {
+    if (getNextLevel() && !isTestLevel) {
         nextBtn.style.display = 'block';
     } else {
         nextBtn.style.display = 'none';
     }
 
-    levelCompleteModal.classList.remove('hidden');
+    announce(`Level complete! Score ${stats.score}, ${stars} ${stars === 1 ? 'star' : 'stars'}.`);
+    playSound('complete');
+    showModal(levelCompleteModal);
 }
 
 function showLevelFailed(level) {
-    document.getElementById('failed-score').textContent = score;
-    document.getElementById('failed-target').textContent = level.goals.score || 'N/A';
+    document.getElementById('failed-title').textContent = isTimedLevel() ? "Time's Up!" : 'Out of Moves!';
+    document.getElementById('failed-score').textContent = stats.score;
+    renderMissedGoals();
+    document.getElementById('failed-seed').textContent = engine.seed;
+    showReplayButton(document.getElementById('failed-replay-btn'));
+
+    announce(`${document.getElementById('failed-title').textContent} Score ${stats.score}.`);
+    playSound('failed');
+    showModal(levelFailedModal);
+}
+
+// Copying needs the clipboard, which browsers only offer on secure pages
+function showReplayButton(button) {
+    button.hidden = !navigator.clipboard;
+    button.textContent = 'Copy replay';
+}
+
+// Everything needed to replay this game with the engine's replayGame(),
+// e.g. to attach to a bug report
+function copyReplay(button) {
+    const level = isTestLevel ? activeLevel : activeLevel.id;
+    const replay = JSON.stringify({ pack: currentPack.id, level, seed: engine.seed, swaps: moveLog });
+    navigator.clipboard.writeText(replay).then(
+        () => { button.textContent = 'Copied!'; },
+        () => { button.textContent = "Couldn't copy"; }
+    );
+}
+
+// Lists each goal that wasn't reached and how far off it was
+function renderMissedGoals() {
+    const list = document.getElementById('missed-goals');
+    list.innerHTML = '';
+
+    for (const goal of levelGoals) {
+        const progress = getGoalProgress(goal, stats);
+        if (progress.complete) continue;
 
-    levelFailedModal.classList.remove('hidden');
+        const goalType = GOAL_TYPES[goal.type];
+        const item = document.createElement('li');
+        item.textContent = `${goalType.icon(goal)} ${goalType.label(goal)}: ${progress.current} / ${progress.target}`;
+
+        const shortfall = document.createElement('span');
+        shortfall.className = 'goal-shortfall';
+        shortfall.textContent = `${progress.target - progress.current} short`;
+        item.appendChild(shortfall);
+
+        list.appendChild(item);
+    }
 }
 
 function showLevelSelect() {
+    viewedPack = currentPack;
+    document.getElementById('pack-errors').innerHTML = '';
+    renderPackChooser();
+    renderLevelGrid();
+
+    recordEndlessScore();
+    renderEndlessHighScores();
+    showModal(levelSelectModal);
+}
+
+function renderPackChooser() {
+    const packSelect = document.getElementById('pack-select');
+    packSelect.innerHTML = '';
+    for (const pack of listPacks()) {
+        packSelect.add(new Option(pack.name, pack.id, false, pack === viewedPack));
+    }
+}
+
+function renderLevelGrid() {
     const levelGrid = document.getElementById('level-grid');
     levelGrid.innerHTML = '';
+    const progressById = getPackProgress(viewedPack);
 
-    LEVELS.forEach(level => {
+    viewedPack.levels.forEach((level, index) => {
         const btn = document.createElement('button');
         btn.className = 'level-btn';
 
-        const unlocked = isLevelUnlocked(level.id);
-        const progress = levelProgress[level.id];
+        const unlocked = isLevelUnlocked(viewedPack, index);
+        const progress = progressById[level.id];
 
         if (unlocked) {
             btn.classList.add('unlocked');
             if (progress?.completed) {
                 btn.classList.add('completed');
             }
-            if (level.id === currentLevel) {
+            if (level.id === currentLevel && activeLevel === level) {
                 btn.classList.add('current');
             }
 
@@ -686,9 +1345,10 @@ function showLevelSelect() {
                 ${progress?.stars ? `<span class="level-stars">${'⭐'.repeat(progress.stars)}</span>` : ''}
             `;
 
+            const pack = viewedPack;
             btn.addEventListener('click', () => {
-                loadLevel(level.id);
-                levelSelectModal.classList.add('hidden');
+                loadLevel(level.id, undefined, pack);
+                hideModal(levelSelectModal);
             });
         } else {
             btn.classList.add('locked');
@@ -697,102 +1357,121 @@ function showLevelSelect() {
 
         levelGrid.appendChild(btn);
     });
+}
 
-    levelSelectModal.classList.remove('hidden');
+async function loadPackFromFile(file) {
+    let pack = null;
+    let errors;
+    try {
+        ({ pack, errors } = await importPackFile(file));
+    } catch (e) {
+        errors = [{ level: null, path: '', message: `could not read the file: ${e.message}` }];
+    }
+    const list = document.getElementById('pack-errors');
+    list.innerHTML = '';
+
+    for (const error of errors.slice(0, 5)) {
+        const item = document.createElement('li');
+        item.textContent = formatLevelError(error);
+        list.appendChild(item);
+    }
+    if (errors.length > 5) {
+        const item = document.createElement('li');
+        item.textContent = `...and ${errors.length - 5} more`;
+        list.appendChild(item);
+    }
+
+    if (errors.length === 0) {
+        viewedPack = getPack(pack.id);
+        renderPackChooser();
+        renderLevelGrid();
+    }
 }
 
 function hideAllModals() {
-    levelCompleteModal.classList.add('hidden');
-    levelFailedModal.classList.add('hidden');
-    levelSelectModal.classList.add('hidden');
-    goalScoreEl.classList.remove('completed');
-    goalGemsEl.classList.remove('completed');
+    [levelCompleteModal, levelFailedModal, levelSelectModal, levelEditorModal, settingsModal].forEach(hideModal);
     goalMovesEl.classList.remove('warning');
 }
 
 // ===========================================
-// VALID MOVES CHECK
+// TIMER
 // ===========================================
 
-function hasValidMoves() {
-    for (let row = 0; row < CONFIG.ROWS; row++) {
-        for (let col = 0; col < CONFIG.COLS; col++) {
-            if (col < CONFIG.COLS - 1) {
-                swap(row, col, row, col + 1);
-                const hasMatch = findAllMatches().length > 0;
-                swap(row, col, row, col + 1);
-                if (hasMatch) return true;
-            }
-            if (row < CONFIG.ROWS - 1) {
-                swap(row, col, row + 1, col);
-                const hasMatch = findAllMatches().length > 0;
-                swap(row, col, row + 1, col);
-                if (hasMatch) return true;
-            }
-        }
-    }
-    return false;
+function isTimedLevel() {
+    return Boolean(!isEndless && activeLevel && activeLevel.timeLimit);
 }
 
-function findValidMove() {
-    for (let row = 0; row < CONFIG.ROWS; row++) {
-        for (let col = 0; col < CONFIG.COLS; col++) {
-            if (col < CONFIG.COLS - 1) {
-                swap(row, col, row, col + 1);
-                const hasMatch = findAllMatches().length > 0;
-                swap(row, col, row, col + 1);
-                if (hasMatch) return { row1: row, col1: col, row2: row, col2: col + 1 };
-            }
-            if (row < CONFIG.ROWS - 1) {
-                swap(row, col, row + 1, col);
-                const hasMatch = findAllMatches().length > 0;
-                swap(row, col, row + 1, col);
-                if (hasMatch) return { row1: row, col1: col, row2: row + 1, col2: col };
-            }
-        }
-    }
-    return null;
+function isOutOfTurns() {
+    return isTimedLevel() ? timeLeft <= 0 : movesLeft <= 0;
 }
 
-function shuffleBoard() {
-    const gems = [];
-    for (let row = 0; row < CONFIG.ROWS; row++) {
-        for (let col = 0; col < CONFIG.COLS; col++) {
-            gems.push(grid[row][col]);
-        }
-    }
+// The clock is measured in real time, so it keeps running while
+// cascades animate, but stops while a modal is open or the tab is hidden
+function startTimer() {
+    stopTimer();
+    lastTick = performance.now();
+    timerId = setInterval(tickTimer, CONFIG.TIMER_TICK);
+}
 
-    for (let i = gems.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [gems[i], gems[j]] = [gems[j], gems[i]];
+function stopTimer() {
+    if (timerId) {
+        clearInterval(timerId);
+        timerId = null;
     }
+}
+
+function tickTimer() {
+    const now = performance.now();
+    const elapsed = (now - lastTick) / 1000;
+    lastTick = now;
+
+    if (document.hidden || isModalOpen()) return;
+
+    timeLeft = Math.max(0, timeLeft - elapsed);
+    updateTimerDisplay();
 
-    let index = 0;
-    for (let row = 0; row < CONFIG.ROWS; row++) {
-        for (let col = 0; col < CONFIG.COLS; col++) {
-            grid[row][col] = gems[index++];
+    if (timeLeft <= 0) {
+        stopTimer();
+        // A running cascade finishes first; trySwap checks the end after it
+        if (!isProcessing) {
+            checkLevelEnd();
         }
     }
+}
 
-    renderBoard();
+function addTime(seconds) {
+    timeLeft += seconds;
+    updateTimerDisplay();
+}
 
-    if (!hasValidMoves()) {
-        shuffleBoard();
-    }
+function updateTimerDisplay() {
+    const seconds = Math.ceil(timeLeft);
+    movesLeftEl.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    goalMovesEl.classList.toggle('warning', seconds <= CONFIG.TIME_WARNING);
+}
+
+function isModalOpen() {
+    return [levelCompleteModal, levelFailedModal, levelSelectModal, levelEditorModal, settingsModal]
+        .some(modal => !modal.classList.contains('hidden'));
 }
 
 // ===========================================
 // HINT SYSTEM
 // ===========================================
 
+// Highlights the best move for the level's goals (see hints.js);
+// with HINT_COUNT above 1 the runners-up are marked more faintly
 function showHint() {
-    if (isProcessing) return;
+    if (isProcessing || isTutorialActive()) return;
     clearHint();
 
-    const move = findValidMove();
-    if (move) {
-        getGemElement(move.row1, move.col1).classList.add('hint');
-        getGemElement(move.row2, move.col2).classList.add('hint');
+    const moves = rankMoves(engine, levelGoals).slice(0, CONFIG.HINT_COUNT);
+    moves.forEach((move, index) => {
+        const className = index === 0 ? 'hint' : 'hint-alt';
+        getGemElement(move.row1, move.col1).classList.add(className);
+        getGemElement(move.row2, move.col2).classList.add(className);
+    });
+    if (moves.length > 0) {
         hintTimeout = setTimeout(clearHint, 2000);
     }
 }
@@ -802,16 +1481,40 @@ function clearHint() {
         clearTimeout(hintTimeout);
         hintTimeout = null;
     }
-    document.querySelectorAll('.gem.hint').forEach(gem => gem.classList.remove('hint'));
+    document.querySelectorAll('.gem.hint, .gem.hint-alt')
+        .forEach(gem => gem.classList.remove('hint', 'hint-alt'));
+}
+
+// Restarts the idle countdown; called whenever the player does something
+function scheduleIdleHint() {
+    clearIdleHint();
+    if (CONFIG.IDLE_HINT_DELAY > 0) {
+        idleHintTimeout = setTimeout(showIdleHint, CONFIG.IDLE_HINT_DELAY);
+    }
+}
+
+function clearIdleHint() {
+    if (idleHintTimeout) {
+        clearTimeout(idleHintTimeout);
+        idleHintTimeout = null;
+    }
+}
+
+function showIdleHint() {
+    if (levelOver || isModalOpen() || selectedGem || isTutorialActive()) {
+        scheduleIdleHint();
+        return;
+    }
+    showHint();
+    scheduleIdleHint();
 }
 
 // ===========================================
 // SCORING & UI
 // ===========================================
 
-function updateScore(points) {
-    score += points;
-    scoreElement.textContent = score;
+function updateScore(value) {
+    scoreElement.textContent = value;
 }
 
 function setStatus(message, isCascade = false) {
@@ -832,34 +1535,60 @@ function delay(ms) {
 
 levelsBtn.addEventListener('click', showLevelSelect);
 hintBtn.addEventListener('click', showHint);
-restartBtn.addEventListener('click', () => loadLevel(currentLevel));
+undoBtn.addEventListener('click', undoMove);
+restartBtn.addEventListener('click', restartLevel);
 
 // Level Complete Modal buttons
 document.getElementById('next-level-btn').addEventListener('click', () => {
-    if (currentLevel < LEVELS.length) {
-        loadLevel(currentLevel + 1);
+    const nextLevel = getNextLevel();
+    if (nextLevel) {
+        loadLevel(nextLevel.id);
     }
 });
 document.getElementById('modal-levels-btn').addEventListener('click', () => {
     hideAllModals();
     showLevelSelect();
 });
+document.getElementById('complete-replay-btn').addEventListener('click', event => copyReplay(event.target));
 
 // Level Failed Modal buttons
-document.getElementById('retry-btn').addEventListener('click', () => loadLevel(currentLevel));
+document.getElementById('retry-btn').addEventListener('click', restartLevel);
 document.getElementById('failed-levels-btn').addEventListener('click', () => {
     hideAllModals();
     showLevelSelect();
 });
+document.getElementById('failed-replay-btn').addEventListener('click', event => copyReplay(event.target));
 
-// Level Select Modal close
+// Level Select Modal buttons
+document.getElementById('pack-select').addEventListener('change', event => {
+    viewedPack = getPack(event.target.value);
+    renderLevelGrid();
+});
+document.getElementById('load-pack-btn').addEventListener('click', () => {
+    document.getElementById('pack-file-input').click();
+});
+document.getElementById('pack-file-input').addEventListener('change', event => {
+    const [file] = event.target.files;
+    if (file) {
+        loadPackFromFile(file);
+    }
+    event.target.value = '';
+});
+document.getElementById('endless-btn').addEventListener('click', () => startEndless());
 document.getElementById('close-levels-btn').addEventListener('click', () => {
-    levelSelectModal.classList.add('hidden');
+    hideModal(levelSelectModal);
 });
 
+// Closing the tab ends an endless run
+window.addEventListener('pagehide', recordEndlessScore);
+
 // ===========================================
 // START THE GAME
 // ===========================================
 
-initGame();
+initGame().catch(error => {
+    console.error('Gem Garden could not start:', error);
+    setStatus("Gem Garden couldn't start. Try reloading the page.");
+    announce("Gem Garden couldn't start. Try reloading the page.");
+});
 console.log('Gem Garden loaded with Level System!');
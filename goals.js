@@ -0,0 +1,142 @@
+/* ===========================================
+   GEM GARDEN - Level Goal Types
+   ===========================================
+
+   Every goal a level can set, keyed by `type`. Each
+   type declares the fields a goal of that type takes
+   (params, plus any optional ones), how it is shown
+   (icon, label), what it counts from the engine stats
+   (current) and how much it needs (target); a goal is
+   complete once current reaches target.
+
+   Goals are listed in a level as an array:
+     goals: [
+         { type: 'score', target: 500 },
+         { type: 'collectGem', gem: 0, count: 10 }
+     ]
+
+   Goal Types:
+   - score:          { target } points
+   - collectGem:     { gem, count } gems of one type (0-5)
+   - collectAny:     { count } gems of any type
+   - clearIce:       {} every ice layer on the board
+   - ingredients:    { count } ingredients dropped to
+                     the bottom (the level drops exactly
+                     that many)
+   - collectSpecial: { count, special? } special gems set
+                     off; `special` narrows it to one kind
+                     ('line', 'bomb' or 'colorBomb')
+
+   =========================================== */
+
+// engine.js is loaded as a global script in the browser
+const { GEM_SYMBOLS: GOAL_GEM_SYMBOLS, GEM_NAMES: GOAL_GEM_NAMES } = typeof module !== 'undefined' && module.exports
+    ? require('./engine.js')
+    : { GEM_SYMBOLS, GEM_NAMES };
+
+const SPECIAL_GOAL_ICONS = {
+    line: '⚡',
+    bomb: '💥',
+    colorBomb: '🌈'
+};
+
+const GOAL_TYPES = {
+    score: {
+        params: ['target'],
+        icon: () => '🎯',
+        label: () => 'Score',
+        target: goal => goal.target,
+        current: (goal, stats) => stats.score
+    },
+
+    collectGem: {
+        params: ['gem', 'count'],
+        icon: goal => GOAL_GEM_SYMBOLS[goal.gem],
+        label: goal => GOAL_GEM_NAMES[goal.gem],
+        target: goal => goal.count,
+        current: (goal, stats) => stats.gemsCollected[goal.gem] || 0
+    },
+
+    collectAny: {
+        params: ['count'],
+        icon: () => '💎',
+        label: () => 'Collect',
+        target: goal => goal.count,
+        current: (goal, stats) => stats.totalGemsCollected
+    },
+
+    clearIce: {
+        params: [],
+        icon: () => '🧊',
+        label: () => 'Ice',
+        target: (goal, stats) => stats.iceTotal,
+        current: (goal, stats) => stats.iceCleared
+    },
+
+    ingredients: {
+        params: ['count'],
+        icon: () => '🌰',
+        label: () => 'Drop',
+        target: goal => goal.count,
+        current: (goal, stats) => stats.ingredientsDropped
+    },
+
+    collectSpecial: {
+        params: ['count'],
+        optional: ['special'],
+        icon: goal => SPECIAL_GOAL_ICONS[goal.special] || '✨',
+        label: () => 'Specials',
+        target: goal => goal.count,
+        current: (goal, stats) => {
+            const counts = stats.specialsCollected;
+            if (goal.special === 'line') return counts.lineH + counts.lineV;
+            if (goal.special) return counts[goal.special] || 0;
+            return Object.values(counts).reduce((sum, n) => sum + n, 0);
+        }
+    }
+};
+
+/**
+ * Accepts the old keyed goals object ({ score, collectGem,
+ * collectGem2, collectAny }) as well as the goals array, so
+ * levels written before the array format still load.
+ */
+function normalizeGoals(goals) {
+    if (Array.isArray(goals)) return goals;
+
+    const list = [];
+    for (const [key, value] of Object.entries(goals || {})) {
+        if (key === 'score') {
+            list.push({ type: 'score', target: value });
+        } else if (key === 'collectAny') {
+            list.push({ type: 'collectAny', count: value });
+        } else if (/^collectGem\d*$/.test(key)) {
+            list.push({ type: 'collectGem', gem: value?.type, count: value?.count });
+        } else {
+            list.push({ type: key, ...value });
+        }
+    }
+    return list;
+}
+
+function getGoalProgress(goal, stats) {
+    const goalType = GOAL_TYPES[goal.type];
+    const current = goalType.current(goal, stats);
+    const target = goalType.target(goal, stats);
+    return { current, target, complete: current >= target };
+}
+
+function allGoalsComplete(goals, stats) {
+    return goals.every(goal => getGoalProgress(goal, stats).complete);
+}
+
+// How many ingredients the engine should drop for these goals
+function countIngredientGoal(goals) {
+    const goal = goals.find(g => g.type === 'ingredients');
+    return goal ? goal.count : 0;
+}
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GOAL_TYPES, SPECIAL_GOAL_ICONS, normalizeGoals, getGoalProgress, allGoalsComplete, countIngredientGoal };
+}
@@ -0,0 +1,73 @@
+/* ===========================================
+   GEM GARDEN - Move Hints
+   ===========================================
+
+   Ranks every valid swap by playing it out on a fork
+   of the engine that doesn't refill, so only the part
+   of the move that is certain counts: the matches, the
+   specials they set off and the cascades made by gems
+   already on the board.
+
+   A move is worth what it does for the goals that
+   aren't met yet (each goal scores by the share of
+   what it still needs), plus a little for points and
+   for any special gems it creates. With no goals, as
+   in endless mode, points and specials decide.
+
+   =========================================== */
+
+// goals.js is loaded as a global script in the browser
+const { getGoalProgress: getHintGoalProgress } = typeof module !== 'undefined' && module.exports
+    ? require('./goals.js')
+    : { getGoalProgress };
+
+const HINT_WEIGHTS = {
+    goal: 1000,    // finishing everything an unmet goal still needs
+    point: 1,      // per point scored
+    special: 150   // per special gem created
+};
+
+/**
+ * Every valid move on the engine's board, best first:
+ * [{ row1, col1, row2, col2, value, points, specials }].
+ * The engine itself is left untouched.
+ */
+function rankMoves(engine, goals = []) {
+    return engine.findValidMoves()
+        .map(move => ({ ...move, ...evaluateMove(engine, move, goals) }))
+        .sort((a, b) => b.value - a.value);
+}
+
+function evaluateMove(engine, move, goals) {
+    const sim = engine.fork({ refill: false });
+    const before = sim.getStats();
+    const { events } = sim.trySwap({ row: move.row1, col: move.col1 }, { row: move.row2, col: move.col2 });
+    const after = sim.getStats();
+
+    const points = after.score - before.score;
+    const specials = events
+        .filter(event => event.type === 'match')
+        .reduce((total, event) => total + event.specials.length, 0);
+
+    let value = points * HINT_WEIGHTS.point + specials * HINT_WEIGHTS.special;
+    for (const goal of goals) {
+        value += goalGain(goal, before, after) * HINT_WEIGHTS.goal;
+    }
+
+    return { value, points, specials };
+}
+
+// Share of what the goal still needed that the move provides (0-1)
+function goalGain(goal, before, after) {
+    const start = getHintGoalProgress(goal, before);
+    if (start.complete) return 0;
+
+    const end = getHintGoalProgress(goal, after);
+    const needed = start.target - start.current;
+    return (Math.min(end.current, end.target) - start.current) / needed;
+}
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { rankMoves, HINT_WEIGHTS };
+}
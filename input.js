@@ -0,0 +1,166 @@
+/* ===========================================
+   GEM GARDEN - Swipe & Keyboard Input
+   ===========================================
+
+   Two more ways to swap gems besides clicking one gem
+   and then its neighbour:
+
+   - Drag or swipe a gem towards a neighbour. Once the
+     pointer has moved CONFIG.SWIPE_THRESHOLD pixels the
+     gem swaps with the neighbour in that direction.
+   - While the board has focus, the arrow keys move a
+     cursor over it. Space or Enter picks the gem under
+     it, just like a click, and an arrow key then swaps
+     it that way. Escape lets go of the gem.
+
+   Both go through swapGemTowards() (game.js) into
+   trySwap(), so they follow the same rules as clicks.
+   The cursor is the board's aria-activedescendant, so
+   screen readers read out the cell it is on.
+
+   =========================================== */
+
+const KEY_DIRECTIONS = {
+    ArrowUp: [-1, 0],
+    ArrowDown: [1, 0],
+    ArrowLeft: [0, -1],
+    ArrowRight: [0, 1]
+};
+
+let swipeStart = null;  // { row, col, x, y, pointerId } while a gem is held down
+let swipeSwapped = false;  // The last press turned into a swipe, so its click is ignored
+let keyboardCursor = null;  // { row, col } once the arrow keys have been used
+
+// Forgets any half-done swipe and hides the cursor; called when a new board starts
+function resetInput() {
+    swipeStart = null;
+    swipeSwapped = false;
+    hideKeyboardCursor();
+}
+
+// ===========================================
+// DRAG & SWIPE
+// ===========================================
+
+function startSwipe(event, row, col) {
+    swipeSwapped = false;  // Even in tap mode, so a swipe from before doesn't eat this click
+    if (event.button !== 0 || CONFIG.INPUT_MODE === 'tap') return;
+    swipeStart = { row, col, x: event.clientX, y: event.clientY, pointerId: event.pointerId };
+    hideKeyboardCursor();
+}
+
+function moveSwipe(event) {
+    if (!swipeStart || event.pointerId !== swipeStart.pointerId) return;
+
+    const dx = event.clientX - swipeStart.x;
+    const dy = event.clientY - swipeStart.y;
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < CONFIG.SWIPE_THRESHOLD) return;
+
+    // Whichever way the pointer moved furthest
+    const direction = Math.abs(dx) > Math.abs(dy) ? [0, Math.sign(dx)] : [Math.sign(dy), 0];
+    const { row, col } = swipeStart;
+    swipeStart = null;
+    swipeSwapped = true;
+    deselectGem();
+    swapGemTowards(row, col, direction);
+}
+
+function endSwipe(event) {
+    if (swipeStart && event.pointerId === swipeStart.pointerId) {
+        swipeStart = null;
+    }
+}
+
+// A swipe that ends on the gem it started from still fires a click
+function isSwipeClick() {
+    return swipeSwapped;
+}
+
+// ===========================================
+// KEYBOARD
+// ===========================================
+
+function handleBoardKey(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey || isModalOpen()) return;
+
+    const direction = KEY_DIRECTIONS[event.key];
+    if (direction) {
+        event.preventDefault();
+        moveKeyboardCursor(direction);
+    } else if (event.key === ' ' || event.key === 'Enter') {
+        event.preventDefault();
+        pickCursorGem();
+    } else if (event.key === 'Escape') {
+        deselectGem();
+    }
+}
+
+// With a gem picked the arrow swaps it; otherwise it moves the cursor
+function moveKeyboardCursor([rowStep, colStep]) {
+    if (selectedGem) {
+        const { row, col } = selectedGem;
+        if (swapGemTowards(row, col, [rowStep, colStep])) {
+            showKeyboardCursor({ row: row + rowStep, col: col + colStep });
+        }
+        return;
+    }
+
+    // The first key press only shows the cursor
+    if (!keyboardCursor) {
+        showKeyboardCursor(startingCursor());
+        return;
+    }
+    showKeyboardCursor({
+        row: Math.min(Math.max(keyboardCursor.row + rowStep, 0), engine.rows - 1),
+        col: Math.min(Math.max(keyboardCursor.col + colStep, 0), engine.cols - 1)
+    });
+}
+
+function pickCursorGem() {
+    if (!keyboardCursor) {
+        showKeyboardCursor(startingCursor());
+        return;
+    }
+    handleGemClick(keyboardCursor.row, keyboardCursor.col);
+}
+
+function startingCursor() {
+    return { row: Math.floor(engine.rows / 2), col: Math.floor(engine.cols / 2) };
+}
+
+function showKeyboardCursor(cell) {
+    hideKeyboardCursor();
+    keyboardCursor = cell;
+    const gem = getGemElement(cell.row, cell.col);
+    gem.classList.add('cursor');
+    boardElement.setAttribute('aria-activedescendant', gem.id);
+}
+
+function hideKeyboardCursor() {
+    keyboardCursor = null;
+    boardElement.querySelectorAll('.gem.cursor').forEach(gem => gem.classList.remove('cursor'));
+    boardElement.removeAttribute('aria-activedescendant');
+}
+
+// Tabbing to the board shows the cursor; a click that focuses it doesn't
+function handleBoardFocus() {
+    if (!swipeStart && !keyboardCursor) {
+        showKeyboardCursor(startingCursor());
+    }
+}
+
+// Lets a redrawn gem keep the cursor
+function isKeyboardCursor(row, col) {
+    return keyboardCursor !== null && keyboardCursor.row === row && keyboardCursor.col === col;
+}
+
+// ===========================================
+// EVENT LISTENERS
+// ===========================================
+
+// Each gem starts its own swipe (see createGemElement); the rest of it is tracked everywhere
+window.addEventListener('pointermove', moveSwipe);
+window.addEventListener('pointerup', endSwipe);
+window.addEventListener('pointercancel', endSwipe);
+document.getElementById('game-board').addEventListener('keydown', handleBoardKey);
+document.getElementById('game-board').addEventListener('focus', handleBoardFocus);
@@ -1,20 +1,7 @@
 /* ===========================================
    GEM GARDEN - Level Definitions
-   ===========================================
-
-   Each level has:
-   - id: Unique level number
-   - name: Display name
-   - description: Brief description shown before level
-   - moves: Maximum moves allowed
-   - goals: Object with goal types and targets
-   - starThresholds: Score needed for 1, 2, 3 stars
-
-   Goal Types:
-   - score: Reach target score
-   - collectGem: Collect specific gem type (0-5)
-   - collectAny: Collect any gems (total count)
-
+   The Classic pack, in the format checked by schema.js
+   (node tools/validate-levels.js)
    =========================================== */
 
 const LEVELS = [
@@ -24,19 +11,44 @@ const LEVELS = [
         name: "First Steps",
         description: "Learn the basics! Match gems to score points.",
         moves: 20,
-        goals: {
-            score: 500
-        },
-        starThresholds: [500, 800, 1200]
+        goals: [
+            { type: "score", target: 500 }
+        ],
+        starThresholds: [500, 800, 1200],
+        // Dropping the Ruby at the bottom sets off a Sapphire cascade
+        tutorial: [
+            {
+                text: "Swap two neighbouring gems to line up three of a kind. Drop this Ruby next to the other two!",
+                swap: [[6, 4], [7, 4]],
+                highlight: [[7, 2], [7, 3]]
+            },
+            {
+                text: "Matched gems vanish and the gems above fall into their place. When those line up too, it's a cascade, worth extra points!"
+            },
+            {
+                text: "Reach the score goal before you run out of moves. Have fun!",
+                goals: true
+            }
+        ],
+        board: [
+            "YRYOOBYP",
+            "GOGGRGBR",
+            "GRGPBBRG",
+            "YPBBYYPB",
+            "PGPOBPRB",
+            "GBRPYRBR",
+            "YOBBRBOP",
+            "GBRRPBPO"
+        ]
     },
     {
         id: 2,
         name: "Getting Started",
         description: "Keep matching! Reach a higher score.",
         moves: 20,
-        goals: {
-            score: 1000
-        },
+        goals: [
+            { type: "score", target: 1000 }
+        ],
         starThresholds: [1000, 1500, 2000]
     },
     {
@@ -44,32 +56,83 @@ const LEVELS = [
         name: "Ruby Hunt",
         description: "Collect red Ruby gems!",
         moves: 15,
-        goals: {
-            score: 500,
-            collectGem: { type: 0, count: 10 }  // 10 Rubies
-        },
-        starThresholds: [500, 1000, 1500]
+        goals: [
+            { type: "score", target: 500 },
+            { type: "collectGem", gem: 0, count: 10 }  // 10 Rubies
+        ],
+        starThresholds: [500, 1000, 1500],
+        tutorial: [
+            {
+                text: "This level has two goals: besides points, you need to collect Rubies.",
+                goals: true
+            },
+            {
+                text: "Every Ruby you match counts towards the goal. Line up these three!",
+                swap: [[3, 5], [4, 5]],
+                highlight: [[4, 3], [4, 4]]
+            },
+            {
+                text: "Rubies cleared by cascades and special gems count too. Watch the goals panel: a goal turns green once it's done.",
+                goals: true
+            }
+        ],
+        board: [
+            "YRYOOBYP",
+            "GOGGRGBR",
+            "GRGPBBRG",
+            "YPBBYRYP",
+            "BPGRRBPO",
+            "BRBGBRPY",
+            "RBRYOBOP",
+            "GBPOOPOO"
+        ]
     },
     {
         id: 4,
         name: "Sapphire Search",
         description: "Find and match blue Sapphires!",
         moves: 15,
-        goals: {
-            score: 600,
-            collectGem: { type: 1, count: 12 }  // 12 Sapphires
-        },
+        goals: [
+            { type: "score", target: 600 },
+            { type: "collectGem", gem: 1, count: 12 }  // 12 Sapphires
+        ],
         starThresholds: [600, 1200, 1800]
     },
     {
         id: 5,
         name: "Cascade Training",
-        description: "Create chain reactions for bonus points!",
+        description: "Match 4 or more to make special gems and chain reactions!",
         moves: 18,
-        goals: {
-            score: 1500
-        },
-        starThresholds: [1500, 2500, 3500]
+        goals: [
+            { type: "score", target: 1500 }
+        ],
+        starThresholds: [1500, 2500, 3500],
+        // Four Topaz along the bottom make a striped gem, and the
+        // Emeralds that drop in line up for a second one
+        tutorial: [
+            {
+                text: "Match four in a row to make a Striped gem. Line up these four Topaz!",
+                swap: [[6, 2], [7, 2]],
+                highlight: [[7, 0], [7, 1], [7, 3]]
+            },
+            {
+                text: "The new gems lined up too and made another Striped gem: a chain reaction! Each step of a cascade scores more than the last."
+            },
+            {
+                text: "Match a Striped gem to clear its whole row. An L or T shape makes a Bomb, and five in a row makes a Rainbow gem!"
+            }
+        ],
+        board: [
+            "YRGYOOBY",
+            "PGOGGRGB",
+            "RGRGPBBR",
+            "GYPBBYYP",
+            "BPGPOBPR",
+            "BGBRPYRB",
+            "RYYOBOPG",
+            "YYPYBPOO"
+        ],
+        drops: ["G", "G", "", "G"]
     },
 
     // ===== EASY LEVELS (6-10) =====
@@ -78,10 +141,10 @@ const LEVELS = [
         name: "Emerald Valley",
         description: "Collect green Emeralds from the valley.",
         moves: 18,
-        goals: {
-            score: 800,
-            collectGem: { type: 2, count: 15 }
-        },
+        goals: [
+            { type: "score", target: 800 },
+            { type: "collectGem", gem: 2, count: 15 }
+        ],
         starThresholds: [800, 1500, 2200]
     },
     {
@@ -89,10 +152,10 @@ const LEVELS = [
         name: "Golden Touch",
         description: "Gather precious Topaz gems!",
         moves: 16,
-        goals: {
-            score: 1000,
-            collectGem: { type: 3, count: 15 }
-        },
+        goals: [
+            { type: "score", target: 1000 },
+            { type: "collectGem", gem: 3, count: 15 }
+        ],
         starThresholds: [1000, 1800, 2600]
     },
     {
@@ -100,20 +163,20 @@ const LEVELS = [
         name: "Purple Rain",
         description: "Amethysts are falling! Catch them all!",
         moves: 20,
-        goals: {
-            collectGem: { type: 4, count: 20 }
-        },
+        goals: [
+            { type: "collectGem", gem: 4, count: 20 }
+        ],
         starThresholds: [1000, 2000, 3000]
     },
     {
         id: 9,
         name: "Orange Crush",
         description: "Collect Citrine gems before time runs out!",
-        moves: 15,
-        goals: {
-            score: 1200,
-            collectGem: { type: 5, count: 12 }
-        },
+        timeLimit: 60,
+        goals: [
+            { type: "score", target: 1200 },
+            { type: "collectGem", gem: 5, count: 12 }
+        ],
         starThresholds: [1200, 2000, 2800]
     },
     {
@@ -121,9 +184,9 @@ const LEVELS = [
         name: "Score Master",
         description: "Show your skills! Reach a big score!",
         moves: 25,
-        goals: {
-            score: 3000
-        },
+        goals: [
+            { type: "score", target: 3000 }
+        ],
         starThresholds: [3000, 4500, 6000]
     },
 
@@ -133,10 +196,10 @@ const LEVELS = [
         name: "Dual Collection",
         description: "Collect both Rubies AND Sapphires!",
         moves: 20,
-        goals: {
-            collectGem: { type: 0, count: 10 },
-            collectGem2: { type: 1, count: 10 }
-        },
+        goals: [
+            { type: "collectGem", gem: 0, count: 10 },
+            { type: "collectGem", gem: 1, count: 10 }
+        ],
         starThresholds: [1500, 2500, 3500]
     },
     {
@@ -144,10 +207,10 @@ const LEVELS = [
         name: "Gem Frenzy",
         description: "Match as many gems as you can!",
         moves: 22,
-        goals: {
-            score: 2500,
-            collectAny: 50
-        },
+        goals: [
+            { type: "score", target: 2500 },
+            { type: "collectAny", count: 50 }
+        ],
         starThresholds: [2500, 4000, 5500]
     },
     {
@@ -155,9 +218,9 @@ const LEVELS = [
         name: "Precision Play",
         description: "Limited moves! Make each one count!",
         moves: 12,
-        goals: {
-            score: 1500
-        },
+        goals: [
+            { type: "score", target: 1500 }
+        ],
         starThresholds: [1500, 2200, 3000]
     },
     {
@@ -165,11 +228,11 @@ const LEVELS = [
         name: "Rainbow Quest",
         description: "Collect gems of every color!",
         moves: 25,
-        goals: {
-            collectGem: { type: 0, count: 8 },
-            collectGem2: { type: 2, count: 8 },
-            collectGem3: { type: 4, count: 8 }
-        },
+        goals: [
+            { type: "collectGem", gem: 0, count: 8 },
+            { type: "collectGem", gem: 2, count: 8 },
+            { type: "collectGem", gem: 4, count: 8 }
+        ],
         starThresholds: [2000, 3500, 5000]
     },
     {
@@ -177,9 +240,9 @@ const LEVELS = [
         name: "High Stakes",
         description: "Big score target, limited moves!",
         moves: 18,
-        goals: {
-            score: 4000
-        },
+        goals: [
+            { type: "score", target: 4000 }
+        ],
         starThresholds: [4000, 5500, 7000]
     },
 
@@ -189,10 +252,20 @@ const LEVELS = [
         name: "Expert Challenge",
         description: "Only the best can complete this!",
         moves: 15,
-        goals: {
-            score: 3500,
-            collectGem: { type: 3, count: 15 }
-        },
+        goals: [
+            { type: "score", target: 3500 },
+            { type: "collectGem", gem: 3, count: 15 }
+        ],
+        layout: [
+            "........",
+            "........",
+            "........",
+            "S......S",
+            ".S....S.",
+            "........",
+            "........",
+            "........"
+        ],
         starThresholds: [3500, 5000, 6500]
     },
     {
@@ -200,9 +273,9 @@ const LEVELS = [
         name: "Cascade King",
         description: "Create massive chain reactions!",
         moves: 20,
-        goals: {
-            score: 5000
-        },
+        goals: [
+            { type: "score", target: 5000 }
+        ],
         starThresholds: [5000, 7000, 9000]
     },
     {
@@ -210,11 +283,21 @@ const LEVELS = [
         name: "Triple Threat",
         description: "Collect three gem types at once!",
         moves: 22,
-        goals: {
-            collectGem: { type: 1, count: 12 },
-            collectGem2: { type: 3, count: 12 },
-            collectGem3: { type: 5, count: 12 }
-        },
+        goals: [
+            { type: "collectGem", gem: 1, count: 12 },
+            { type: "collectGem", gem: 3, count: 12 },
+            { type: "collectGem", gem: 5, count: 12 }
+        ],
+        layout: [
+            "........",
+            "........",
+            "........",
+            "...LL...",
+            "...LL...",
+            "........",
+            "........",
+            "........"
+        ],
         starThresholds: [3000, 5000, 7000]
     },
     {
@@ -222,9 +305,9 @@ const LEVELS = [
         name: "Speed Demon",
         description: "Quick moves, quick thinking!",
         moves: 10,
-        goals: {
-            score: 2000
-        },
+        goals: [
+            { type: "score", target: 2000 }
+        ],
         starThresholds: [2000, 3000, 4000]
     },
     {
@@ -232,10 +315,10 @@ const LEVELS = [
         name: "Grand Finale",
         description: "The ultimate gem garden challenge!",
         moves: 25,
-        goals: {
-            score: 8000,
-            collectAny: 80
-        },
+        goals: [
+            { type: "score", target: 8000 },
+            { type: "collectAny", count: 80 }
+        ],
         starThresholds: [8000, 10000, 12000]
     }
 ];
@@ -0,0 +1,138 @@
+/* ===========================================
+   GEM GARDEN - Level Packs
+   ===========================================
+
+   A pack is a named list of levels with its own unlock
+   chain and its own saved progress:
+
+     {
+         "id": "community",
+         "name": "Community",
+         "levels": [ ...levels in the LEVELS format... ]
+     }
+
+   Classic is the built-in pack from levels.js. More
+   packs come from the JSON files in PACK_FILES or from
+   a file the player picks; picked packs are kept in
+   localStorage so they are still there next time. A
+   picked pack can't take the id of a pack that comes
+   with the game.
+
+   A pack is only added if validatePack() (schema.js)
+   finds nothing wrong with it.
+
+   =========================================== */
+
+// levels.js and schema.js are loaded as global scripts in the browser
+const PACK_LEVELS = typeof module !== 'undefined' && module.exports ? require('./levels.js') : LEVELS;
+const { validatePack: checkPack, formatLevelError: formatPackError } = typeof module !== 'undefined' && module.exports
+    ? require('./schema.js')
+    : { validatePack, formatLevelError };
+
+const CLASSIC_PACK = { id: 'classic', name: 'Classic', levels: PACK_LEVELS };
+
+const PACK_FILES = ['packs/community.json', 'packs/seasonal.json'];
+const PACKS_STORAGE_KEY = 'gemGardenPacks';
+
+// Classic and the shipped packs, whose files are named after their ids
+const RESERVED_PACK_IDS = [CLASSIC_PACK.id, ...PACK_FILES.map(file => file.replace(/^.*\/|\.json$/g, ''))];
+
+const levelPacks = [CLASSIC_PACK];
+
+// ===========================================
+// REGISTRY
+// ===========================================
+
+/**
+ * Adds a pack, replacing any pack with the same id, unless it
+ * has problems; returns those problems (empty when added). An
+ * `imported` pack may not replace one that comes with the game.
+ */
+function registerPack(pack, { imported = false } = {}) {
+    const errors = checkPack(pack);
+    if (errors.length === 0 && imported && RESERVED_PACK_IDS.includes(pack.id)) {
+        errors.push({ level: null, path: 'id', message: `'${pack.id}' is taken by a pack that comes with the game` });
+    }
+    if (errors.length > 0) return errors;
+
+    const index = levelPacks.findIndex(p => p.id === pack.id);
+    if (index >= 0) {
+        levelPacks[index] = pack;
+    } else {
+        levelPacks.push(pack);
+    }
+    return errors;
+}
+
+function getPack(id) {
+    return levelPacks.find(pack => pack.id === id) || null;
+}
+
+function listPacks() {
+    return levelPacks.slice();
+}
+
+// ===========================================
+// LOADING
+// ===========================================
+
+// Fetches the packs that ship with the game; a file that is missing
+// or broken is reported and skipped
+async function fetchPackFiles(files = PACK_FILES) {
+    await Promise.all(files.map(async file => {
+        try {
+            const response = await fetch(file);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            reportPackErrors(file, registerPack(await response.json()));
+        } catch (e) {
+            console.warn(`Could not load level pack ${file}:`, e.message);
+        }
+    }));
+}
+
+// Reads a pack the player picked; resolves to { pack, errors }
+async function importPackFile(file) {
+    let pack;
+    try {
+        pack = JSON.parse(await file.text());
+    } catch (e) {
+        return { pack: null, errors: [{ level: null, path: '', message: `not valid JSON: ${e.message}` }] };
+    }
+
+    const errors = registerPack(pack, { imported: true });
+    if (errors.length === 0) {
+        saveImportedPack(pack);
+    }
+    return { pack, errors };
+}
+
+function loadImportedPacks() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PACKS_STORAGE_KEY) || '[]');
+        saved.forEach(pack => reportPackErrors(`saved pack ${pack.id}`, registerPack(pack, { imported: true })));
+    } catch (e) {
+        console.warn('Could not load saved level packs:', e);
+    }
+}
+
+function saveImportedPack(pack) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PACKS_STORAGE_KEY) || '[]')
+            .filter(p => p.id !== pack.id);
+        saved.push(pack);
+        localStorage.setItem(PACKS_STORAGE_KEY, JSON.stringify(saved));
+    } catch (e) {
+        console.warn('Could not save level pack:', e);
+    }
+}
+
+function reportPackErrors(source, errors) {
+    for (const error of errors) {
+        console.error(`Invalid level pack (${source}): ${formatPackError(error)}`);
+    }
+}
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CLASSIC_PACK, registerPack, getPack, listPacks };
+}
@@ -0,0 +1,49 @@
+/* ===========================================
+   GEM GARDEN - Seeded Random Numbers
+   ===========================================
+
+   A small Mulberry32 generator. The same seed always
+   gives the same boards, refills and shuffles, so a
+   game can be replayed from its seed plus the list of
+   swaps the player made.
+
+   The whole generator state is one 32-bit integer,
+   exposed through getState/setState so it can be
+   saved and restored alongside the board.
+
+   =========================================== */
+
+const MAX_SEED = 0xffffffff;
+
+function createRng(seed = randomSeed()) {
+    let state = seed >>> 0;
+
+    // Returns a float in [0, 1), like Math.random
+    function next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    function getState() {
+        return state;
+    }
+
+    function setState(value) {
+        state = value >>> 0;
+    }
+
+    return { seed: seed >>> 0, next, getState, setState };
+}
+
+// Picks a fresh seed for games that don't ask for a specific one
+function randomSeed() {
+    return Math.floor(Math.random() * MAX_SEED);
+}
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createRng, randomSeed };
+}
@@ -0,0 +1,283 @@
+/* ===========================================
+   GEM GARDEN - Saved Progress
+   ===========================================
+
+   The player's progress, kept under one storage key
+   (CONFIG.STORAGE_KEY in game.js) and in exported
+   progress files:
+
+     {
+         "version": 2,
+         "activeProfile": "default",
+         "profiles": {
+             "default": {
+                 "name": "Player",
+                 "packProgress": {
+                     "classic": { "3": { "completed": true, "stars": 2, "bestScore": 5400 } }
+                 },
+                 "currentPack": "classic",
+                 "currentLevel": 4,
+                 "endlessHighScores": [{ "score": 9100, "date": "2026-10-01T18:20:00.000Z" }]
+             }
+         }
+     }
+
+   Each profile is one player's progress. Older saves
+   are brought up to date one version at a time by
+   SAVE_MIGRATIONS:
+
+     0  { levelProgress, currentLevel }, classic only
+     1  { packProgress, currentPack, currentLevel,
+          endlessHighScores }, one player
+     2  profiles, as above
+
+   readSave() keeps whatever it can: a broken level
+   record, high score or profile is dropped and reported
+   without losing the rest.
+
+   =========================================== */
+
+const SAVE_VERSION = 2;
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE_NAME = 'Player';
+const DEFAULT_PACK_ID = 'classic';  // CLASSIC_PACK in packs.js
+const MAX_STARS = 3;
+
+// SAVE_MIGRATIONS[n] turns a version n save into a version n + 1 one
+const SAVE_MIGRATIONS = {
+    0: save => ({
+        packProgress: { [DEFAULT_PACK_ID]: save.levelProgress || {} },
+        currentPack: DEFAULT_PACK_ID,
+        currentLevel: save.currentLevel,
+        endlessHighScores: []
+    }),
+    1: save => ({
+        version: 2,
+        activeProfile: DEFAULT_PROFILE_ID,
+        profiles: { [DEFAULT_PROFILE_ID]: { ...save, name: DEFAULT_PROFILE_NAME } }
+    })
+};
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isWholeNumber = value => Number.isInteger(value) && value >= 0;
+// JSON.parse() keeps "__proto__" as a key, but assigning it would set a prototype
+const isSafeKey = key => key !== '__proto__';
+
+function createSave() {
+    return {
+        version: SAVE_VERSION,
+        activeProfile: DEFAULT_PROFILE_ID,
+        profiles: { [DEFAULT_PROFILE_ID]: createProfile(DEFAULT_PROFILE_NAME) }
+    };
+}
+
+function createProfile(name) {
+    return { name, packProgress: {}, currentPack: DEFAULT_PACK_ID, currentLevel: 1, endlessHighScores: [] };
+}
+
+// ===========================================
+// READING
+// ===========================================
+
+/**
+ * Reads a save from its JSON text (null for none) and returns
+ * { save, problems }. The save is always usable: it is brought
+ * up to the current version and anything broken is left out,
+ * with a line in `problems` saying what was lost.
+ */
+function readSave(text) {
+    if (text === null || text === undefined || text === '') {
+        return { save: createSave(), problems: [] };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return { save: createSave(), problems: [`not valid JSON: ${e.message}`] };
+    }
+
+    const { save, problems } = upgradeSave(data);
+    if (Object.keys(save.profiles).length === 0) {
+        problems.push('no profiles, so a new one was started');
+        save.profiles[DEFAULT_PROFILE_ID] = createProfile(DEFAULT_PROFILE_NAME);
+        save.activeProfile = DEFAULT_PROFILE_ID;
+    }
+    return { save, problems };
+}
+
+// readSave() for a save that has already been parsed, except that
+// the save is left with no profiles if none could be read
+function upgradeSave(data) {
+    let version = saveVersion(data);
+    if (version === null) {
+        return { save: createSave(), problems: ['not a Gem Garden progress file'] };
+    }
+
+    const problems = [];
+    if (version > SAVE_VERSION) {
+        // Read it as the newest version this game knows; most of it may still fit
+        problems.push(`made by a newer version of the game (save version ${version})`);
+        version = SAVE_VERSION;
+    }
+    for (; version < SAVE_VERSION; version++) {
+        data = SAVE_MIGRATIONS[version](data);
+    }
+
+    return { save: checkSave(data, problems), problems };
+}
+
+// Saves from before versions were recorded are told apart by their
+// fields; null if `data` isn't saved progress of any version
+function saveVersion(data) {
+    if (!isObject(data)) return null;
+    if (data.version !== undefined) {
+        if (!isObject(data.profiles)) return null;
+        return isWholeNumber(data.version) ? data.version : SAVE_VERSION;
+    }
+    if (data.packProgress !== undefined) return 1;
+    return data.levelProgress !== undefined || data.currentLevel !== undefined ? 0 : null;
+}
+
+function checkSave(data, problems) {
+    const save = { version: SAVE_VERSION, activeProfile: null, profiles: {} };
+
+    for (const [id, profile] of Object.entries(data.profiles)) {
+        if (!isSafeKey(id)) {
+            problems.push(`profile ${id}: not a usable profile id, so it was dropped`);
+        } else if (isObject(profile)) {
+            const label = typeof profile.name === 'string' && profile.name.trim() !== '' ? profile.name.trim() : id;
+            save.profiles[id] = checkProfile(profile, `profile ${label}`, problems);
+        } else {
+            problems.push(`profile ${id}: not a profile, so it was dropped`);
+        }
+    }
+
+    save.activeProfile = Object.hasOwn(save.profiles, data.activeProfile)
+        ? data.activeProfile
+        : Object.keys(save.profiles)[0];
+    return save;
+}
+
+function checkProfile(profile, path, problems) {
+    const name = typeof profile.name === 'string' ? profile.name.trim() : '';
+    if (name === '') problems.push(`${path}: no name, so it was called ${DEFAULT_PROFILE_NAME}`);
+    const checked = createProfile(name || DEFAULT_PROFILE_NAME);
+
+    if (isObject(profile.packProgress)) {
+        for (const [packId, levels] of Object.entries(profile.packProgress)) {
+            if (!isSafeKey(packId)) {
+                problems.push(`${path}, pack ${packId}: not a usable pack id, so it was dropped`);
+            } else if (isObject(levels)) {
+                checked.packProgress[packId] = checkPackProgress(levels, `${path}, pack ${packId}`, problems);
+            } else {
+                problems.push(`${path}, pack ${packId}: unreadable, so it was dropped`);
+            }
+        }
+    } else if (profile.packProgress !== undefined) {
+        problems.push(`${path}: level progress is unreadable, so it was dropped`);
+    }
+
+    if (typeof profile.currentPack === 'string' && profile.currentPack !== '') {
+        checked.currentPack = profile.currentPack;
+    }
+    if (Number.isInteger(profile.currentLevel) && profile.currentLevel > 0) {
+        checked.currentLevel = profile.currentLevel;
+    } else if (profile.currentLevel !== undefined) {
+        problems.push(`${path}: current level is unreadable, so it is back to level 1`);
+    }
+
+    if (Array.isArray(profile.endlessHighScores)) {
+        checked.endlessHighScores = profile.endlessHighScores.filter(entry =>
+            isObject(entry) && isWholeNumber(entry.score) && !Number.isNaN(Date.parse(entry.date)));
+        const dropped = profile.endlessHighScores.length - checked.endlessHighScores.length;
+        if (dropped > 0) {
+            problems.push(`${path}: ${dropped} unreadable endless high ${dropped === 1 ? 'score was' : 'scores were'} dropped`);
+        }
+        checked.endlessHighScores.sort((a, b) => b.score - a.score);
+    } else if (profile.endlessHighScores !== undefined) {
+        problems.push(`${path}: endless high scores are unreadable, so they were dropped`);
+    }
+
+    return checked;
+}
+
+// { levelId: { completed, stars, bestScore } } for one pack
+function checkPackProgress(levels, path, problems) {
+    const checked = {};
+    for (const [levelId, record] of Object.entries(levels)) {
+        const valid = /^[1-9]\d*$/.test(levelId) && isObject(record) && record.completed === true
+            && isWholeNumber(record.stars) && record.stars <= MAX_STARS
+            && (record.bestScore === undefined || isWholeNumber(record.bestScore));
+        if (valid) {
+            checked[levelId] = { completed: true, stars: record.stars };
+            if (record.bestScore !== undefined) checked[levelId].bestScore = record.bestScore;
+        } else {
+            problems.push(`${path}, level ${levelId}: unreadable, so it was dropped`);
+        }
+    }
+    return checked;
+}
+
+// ===========================================
+// PROFILES
+// ===========================================
+
+// Adds a new, empty profile and returns its id
+function addProfile(save, name) {
+    const id = uniqueProfileId(save);
+    save.profiles[id] = createProfile(uniqueProfileName(save, name.trim() || DEFAULT_PROFILE_NAME));
+    return id;
+}
+
+// The last profile can't be removed
+function removeProfile(save, id) {
+    const ids = Object.keys(save.profiles);
+    if (ids.length <= 1 || !Object.hasOwn(save.profiles, id)) return false;
+
+    delete save.profiles[id];
+    if (save.activeProfile === id) {
+        save.activeProfile = Object.keys(save.profiles)[0];
+    }
+    return true;
+}
+
+/**
+ * Adds every profile from another save (an imported file) as a
+ * new profile, so nothing already here is overwritten. Returns
+ * the new profiles' ids, the imported save's active one first.
+ */
+function mergeSave(save, imported) {
+    const ids = Object.keys(imported.profiles);
+    ids.sort((a, b) => (b === imported.activeProfile) - (a === imported.activeProfile));
+
+    return ids.map(importedId => {
+        const profile = imported.profiles[importedId];
+        const id = uniqueProfileId(save);
+        save.profiles[id] = { ...profile, name: uniqueProfileName(save, profile.name) };
+        return id;
+    });
+}
+
+function uniqueProfileId(save) {
+    let number = Object.keys(save.profiles).length + 1;
+    while (Object.hasOwn(save.profiles, `profile-${number}`)) number++;
+    return `profile-${number}`;
+}
+
+// "Sam", then "Sam (2)", "Sam (3)"...
+function uniqueProfileName(save, name) {
+    const taken = Object.values(save.profiles).map(profile => profile.name);
+    let unique = name;
+    for (let number = 2; taken.includes(unique); number++) {
+        unique = `${name} (${number})`;
+    }
+    return unique;
+}
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SAVE_VERSION, createSave, createProfile, readSave, upgradeSave, saveVersion, addProfile, removeProfile, mergeSave
+    };
+}
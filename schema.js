@@ -0,0 +1,338 @@
+/* ===========================================
+   GEM GARDEN - Level Validation
+   ===========================================
+
+   Checks a list of levels (LEVELS, or a level pack)
+   against the level format (see LEVEL_FIELDS) and
+   reports every problem it finds, not just the first:
+
+     validateLevels(LEVELS)
+     // => [{ level: 3, path: 'goals[1].gem', message: '...' }]
+
+   An empty list means the levels are fine. Level packs
+   (see packs.js) are checked with validatePack().
+
+   =========================================== */
+
+// engine.js and goals.js are loaded as global scripts in the browser
+const {
+    GEM_SYMBOLS: SCHEMA_GEM_SYMBOLS,
+    GEM_CODES: SCHEMA_GEM_CODES,
+    boardSize: schemaBoardSize,
+    LAYOUT_CODES: SCHEMA_LAYOUT_CODES,
+    MAX_ICE_LAYERS: SCHEMA_MAX_ICE_LAYERS
+} = typeof module !== 'undefined' && module.exports
+    ? require('./engine.js')
+    : { GEM_SYMBOLS, GEM_CODES, boardSize, LAYOUT_CODES, MAX_ICE_LAYERS };
+const {
+    GOAL_TYPES: SCHEMA_GOAL_TYPES,
+    SPECIAL_GOAL_ICONS: SCHEMA_SPECIAL_GOALS,
+    normalizeGoals: schemaNormalizeGoals
+} = typeof module !== 'undefined' && module.exports
+    ? require('./goals.js')
+    : { GOAL_TYPES, SPECIAL_GOAL_ICONS, normalizeGoals };
+
+// A level's fields; packs use the same format:
+// - id, name, description: ids run 1, 2, 3... in order
+// - moves, or timeLimit in seconds (cascades add a little time back)
+// - goals: a list, all needed to win (GOAL_TYPES in goals.js)
+// - starThresholds: the scores for 1, 2 and 3 stars
+// - undos: moves that can be taken back (default CONFIG.UNDOS_PER_LEVEL)
+// - seed, layout, rows, cols, board, drops: see createEngine()
+// - tutorial: steps shown until the level is first completed
+//   (tutorial.js); a swap step needs a fixed board to match
+const LEVEL_FIELDS = [
+    'id', 'name', 'description', 'moves', 'timeLimit', 'goals', 'starThresholds',
+    'seed', 'layout', 'rows', 'cols', 'undos', 'board', 'drops', 'tutorial'
+];
+
+const TUTORIAL_STEP_FIELDS = ['text', 'swap', 'highlight', 'goals'];
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+const isCount = value => Number.isInteger(value) && value >= 0;
+
+// How each goal field is checked; returns a problem or null
+const GOAL_PARAM_CHECKS = {
+    target: value => isPositiveInteger(value) ? null : 'must be a positive whole number',
+    count: value => isPositiveInteger(value) ? null : 'must be a positive whole number',
+    gem: value => Number.isInteger(value) && value >= 0 && value < SCHEMA_GEM_SYMBOLS.length
+        ? null
+        : `must be a gem type from 0 to ${SCHEMA_GEM_SYMBOLS.length - 1}`,
+    special: value => typeof value === 'string' && Object.hasOwn(SCHEMA_SPECIAL_GOALS, value)
+        ? null
+        : `must be one of ${Object.keys(SCHEMA_SPECIAL_GOALS).join(', ')}`
+};
+
+function validateLevels(levels) {
+    const errors = [];
+
+    if (!Array.isArray(levels)) {
+        return [{ level: null, path: '', message: 'levels must be a list' }];
+    }
+
+    // Ids run 1, 2, 3... in order, which level unlocking relies on
+    levels.forEach((level, index) => {
+        if (level && level.id !== index + 1) {
+            errors.push({
+                level: level.id,
+                path: 'id',
+                message: `expected id ${index + 1} (ids must be unique and run from 1 in order)`
+            });
+        }
+    });
+
+    for (const level of levels) {
+        errors.push(...validateLevel(level));
+    }
+    return errors;
+}
+
+function validateLevel(level) {
+    const errors = [];
+    const report = (path, message) => errors.push({ level: level ? level.id : null, path, message });
+
+    if (!level || typeof level !== 'object') {
+        report('', 'must be an object');
+        return errors;
+    }
+
+    for (const key of Object.keys(level)) {
+        if (!LEVEL_FIELDS.includes(key)) report(key, 'is not a level field');
+    }
+
+    if (!isPositiveInteger(level.id)) report('id', 'must be a positive whole number');
+    for (const key of ['name', 'description']) {
+        if (typeof level[key] !== 'string' || level[key] === '') report(key, 'must be some text');
+    }
+
+    if (level.timeLimit !== undefined) {
+        if (!(typeof level.timeLimit === 'number' && level.timeLimit > 0)) {
+            report('timeLimit', 'must be a positive number of seconds');
+        }
+        if (level.moves !== undefined) report('moves', 'timed levels have no moves limit');
+    } else if (!isPositiveInteger(level.moves)) {
+        report('moves', 'must be a positive whole number');
+    }
+
+    for (const key of ['seed', 'undos']) {
+        if (level[key] !== undefined && !isCount(level[key])) report(key, 'must be a whole number of 0 or more');
+    }
+    for (const key of ['rows', 'cols']) {
+        if (level[key] !== undefined && !isPositiveInteger(level[key])) report(key, 'must be a positive whole number');
+    }
+
+    validateThresholds(level.starThresholds, report);
+    validateLayout(level.layout, report);
+    validateBoard(level, report);
+    validateDrops(level.drops, report);
+    validateTutorial(level, report);
+    validateGoals(level, report);
+
+    return errors;
+}
+
+function validateThresholds(thresholds, report) {
+    if (!Array.isArray(thresholds) || thresholds.length !== 3) {
+        report('starThresholds', 'must list the scores for 1, 2 and 3 stars');
+        return;
+    }
+    thresholds.forEach((threshold, index) => {
+        if (!isCount(threshold)) {
+            report(`starThresholds[${index}]`, 'must be a whole number of 0 or more');
+        } else if (index > 0 && threshold <= thresholds[index - 1]) {
+            report(`starThresholds[${index}]`, `must be higher than ${thresholds[index - 1]}`);
+        }
+    });
+}
+
+function validateLayout(layout, report) {
+    if (layout === undefined) return;
+    if (!Array.isArray(layout) || layout.length === 0) {
+        report('layout', 'must be a list of rows');
+        return;
+    }
+
+    const codes = [...Object.values(SCHEMA_LAYOUT_CODES)];
+    for (let layers = 1; layers <= SCHEMA_MAX_ICE_LAYERS; layers++) codes.push(String(layers));
+
+    layout.forEach((line, row) => {
+        if (typeof line !== 'string') {
+            report(`layout[${row}]`, 'must be a string');
+            return;
+        }
+        [...line].forEach((code, col) => {
+            if (!codes.includes(code)) {
+                report(`layout[${row}][${col}]`, `unknown cell '${code}' (use ${codes.join(' ')})`);
+            }
+        });
+    });
+}
+
+// A fixed board names a gem for each cell the layout leaves open
+function validateBoard(level, report) {
+    const board = level.board;
+    if (board === undefined) return;
+    if (!Array.isArray(board) || board.length === 0) {
+        report('board', 'must be a list of rows');
+        return;
+    }
+
+    const layout = level.layout || [];
+    const blocked = [SCHEMA_LAYOUT_CODES.VOID, SCHEMA_LAYOUT_CODES.STONE];
+    board.forEach((line, row) => {
+        if (typeof line !== 'string') {
+            report(`board[${row}]`, 'must be a string');
+            return;
+        }
+        [...line].forEach((code, col) => {
+            if (code === SCHEMA_LAYOUT_CODES.PLAIN) return;
+            if (!SCHEMA_GEM_CODES.includes(code)) {
+                report(`board[${row}][${col}]`, `unknown gem '${code}' (use ${SCHEMA_GEM_CODES.join(' ')} or .)`);
+            } else if (layout[row] && blocked.includes(layout[row][col])) {
+                report(`board[${row}][${col}]`, 'is a void or stone in the layout');
+            }
+        });
+    });
+}
+
+function validateDrops(drops, report) {
+    if (drops === undefined) return;
+    if (!Array.isArray(drops)) {
+        report('drops', 'must be a list with one string per column');
+        return;
+    }
+    drops.forEach((queue, col) => {
+        if (typeof queue !== 'string') {
+            report(`drops[${col}]`, 'must be a string');
+            return;
+        }
+        [...queue].forEach((code, index) => {
+            if (!SCHEMA_GEM_CODES.includes(code)) {
+                report(`drops[${col}][${index}]`, `unknown gem '${code}' (use ${SCHEMA_GEM_CODES.join(' ')})`);
+            }
+        });
+    });
+}
+
+function validateTutorial(level, report) {
+    const steps = level.tutorial;
+    if (steps === undefined) return;
+    if (!Array.isArray(steps)) {
+        report('tutorial', 'must be a list of steps');
+        return;
+    }
+
+    // A broken size, layout or board is reported on its own; cells are then only checked for shape
+    const grid = level.layout || level.board;
+    const sized = (grid === undefined || (Array.isArray(grid) && grid.every(line => typeof line === 'string')))
+        && [level.rows, level.cols].every(size => size === undefined || isPositiveInteger(size));
+    const { rows, cols } = sized ? schemaBoardSize(level) : { rows: Infinity, cols: Infinity };
+    const isCell = cell => Array.isArray(cell) && cell.length === 2
+        && Number.isInteger(cell[0]) && cell[0] >= 0 && cell[0] < rows
+        && Number.isInteger(cell[1]) && cell[1] >= 0 && cell[1] < cols;
+
+    steps.forEach((step, index) => {
+        const path = `tutorial[${index}]`;
+        if (!step || typeof step !== 'object') {
+            report(path, 'must be an object');
+            return;
+        }
+        for (const key of Object.keys(step)) {
+            if (!TUTORIAL_STEP_FIELDS.includes(key)) report(`${path}.${key}`, 'is not a tutorial step field');
+        }
+        if (typeof step.text !== 'string' || step.text === '') report(`${path}.text`, 'must be some text');
+
+        if (step.swap !== undefined) {
+            const [from, to] = Array.isArray(step.swap) ? step.swap : [];
+            if (!Array.isArray(step.swap) || step.swap.length !== 2 || !isCell(from) || !isCell(to)) {
+                report(`${path}.swap`, 'must be two [row, col] cells on the board');
+            } else if (Math.abs(from[0] - to[0]) + Math.abs(from[1] - to[1]) !== 1) {
+                report(`${path}.swap`, 'the two cells must be next to each other');
+            }
+        }
+        if (step.highlight !== undefined && !(Array.isArray(step.highlight) && step.highlight.every(isCell))) {
+            report(`${path}.highlight`, 'must be a list of [row, col] cells on the board');
+        }
+        if (step.goals !== undefined && typeof step.goals !== 'boolean') {
+            report(`${path}.goals`, 'must be true or false');
+        }
+    });
+}
+
+function validateGoals(level, report) {
+    const isList = Array.isArray(level.goals);
+    if (!isList && (!level.goals || typeof level.goals !== 'object')) {
+        report('goals', 'must be a list of goals');
+        return;
+    }
+
+    const goals = schemaNormalizeGoals(level.goals);
+    if (goals.length === 0) report('goals', 'needs at least one goal');
+
+    goals.forEach((goal, index) => {
+        const path = `goals[${index}]`;
+        if (!goal || typeof goal !== 'object' || Array.isArray(goal)) {
+            report(path, 'must be an object with a type');
+            return;
+        }
+        // Own keys only, so 'constructor' or 'toString' isn't taken for a goal type
+        const goalType = Object.hasOwn(SCHEMA_GOAL_TYPES, goal.type) ? SCHEMA_GOAL_TYPES[goal.type] : null;
+        if (!goalType) {
+            report(`${path}.type`, `unknown goal type '${goal.type}' (use ${Object.keys(SCHEMA_GOAL_TYPES).join(', ')})`);
+            return;
+        }
+
+        const allowed = ['type', ...goalType.params, ...(goalType.optional || [])];
+        for (const key of Object.keys(goal)) {
+            if (!allowed.includes(key)) report(`${path}.${key}`, `is not a field of a ${goal.type} goal`);
+        }
+        for (const param of goalType.params) {
+            if (goal[param] === undefined) report(`${path}.${param}`, 'is missing');
+        }
+        for (const param of allowed.slice(1)) {
+            const problem = goal[param] !== undefined && GOAL_PARAM_CHECKS[param](goal[param]);
+            if (problem) report(`${path}.${param}`, problem);
+        }
+
+        // Winning would always give three stars
+        const thresholds = level.starThresholds;
+        if (goal.type === 'score' && Array.isArray(thresholds) && goal.target > thresholds[2]) {
+            report(`${path}.target`, `is above the 3-star threshold (${thresholds[2]})`);
+        }
+
+        const layout = Array.isArray(level.layout) ? level.layout : [];
+        if (goal.type === 'clearIce' && !layout.some(line => typeof line === 'string' && /\d/.test(line))) {
+            report(path, 'the layout has no ice to clear');
+        }
+    });
+}
+
+// A pack is { id, name, levels }; the id names its saved progress
+function validatePack(pack) {
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+        return [{ level: null, path: '', message: 'a level pack must be an object with id, name and levels' }];
+    }
+
+    const errors = [];
+    if (typeof pack.id !== 'string' || !/^[a-z0-9-]+$/.test(pack.id)) {
+        errors.push({ level: null, path: 'id', message: 'must be lowercase letters, digits and dashes' });
+    }
+    if (typeof pack.name !== 'string' || pack.name === '') {
+        errors.push({ level: null, path: 'name', message: 'must be some text' });
+    }
+    if (!Array.isArray(pack.levels) || pack.levels.length === 0) {
+        errors.push({ level: null, path: 'levels', message: 'must be a list of at least one level' });
+        return errors;
+    }
+    return errors.concat(validateLevels(pack.levels));
+}
+
+function formatLevelError({ level, path, message }) {
+    const where = [level === null ? 'Levels' : `Level ${level}`, path].filter(Boolean).join(', ');
+    return `${where}: ${message}`;
+}
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateLevels, validateLevel, validatePack, formatLevelError };
+}
@@ -0,0 +1,235 @@
+/* ===========================================
+   GEM GARDEN - Settings
+   ===========================================
+
+   The settings dialog: animation speed, hints, how
+   gems are swapped and how the board is drawn. Each
+   setting overrides one of the CONFIG values in
+   game.js and takes effect straight away.
+
+   They are saved under their own storage key, so
+   resetting progress keeps them. Sound and high
+   contrast live in the same dialog but keep their own
+   saved settings (sound.js, accessibility.js).
+
+   The dialog also picks the profile being played and
+   exports or imports progress (saves.js); anything
+   that loses progress asks first.
+
+   Loaded before game.js; initGame() calls
+   loadSettings() before anything reads CONFIG.
+
+   =========================================== */
+
+const SETTINGS_STORAGE_KEY = 'gemGardenSettings';
+const ANIMATION_SPEEDS = { slow: 1.5, normal: 1, fast: 0.5 };  // Multiplies CONFIG's animation delays
+
+// Each setting's form control; numbers are stored as numbers
+const SETTING_CONTROLS = {
+    animationSpeed: { id: 'setting-animation-speed', parse: String },
+    hintCount: { id: 'setting-hint-count', parse: Number },
+    idleHintDelay: { id: 'setting-idle-hint', parse: Number },
+    inputMode: { id: 'setting-input-mode', parse: String },
+    renderer: { id: 'setting-renderer', parse: String }
+};
+
+let settings = {};
+let baseDelays = null;  // CONFIG's animation delays before the speed setting
+
+let confirmAction = null;  // What the confirm button does
+
+const settingsModal = document.getElementById('settings-modal');
+const profileSelect = document.getElementById('profile-select');
+const newProfileForm = document.getElementById('new-profile-form');
+const newProfileName = document.getElementById('new-profile-name');
+const progressMessagesEl = document.getElementById('progress-messages');
+const settingsConfirmEl = document.getElementById('settings-confirm');
+
+// ===========================================
+// LOADING & SAVING
+// ===========================================
+
+function loadSettings() {
+    baseDelays = { animation: CONFIG.ANIMATION_DELAY, swap: CONFIG.SWAP_DELAY };
+    settings = {
+        animationSpeed: 'normal',
+        hintCount: CONFIG.HINT_COUNT,
+        idleHintDelay: CONFIG.IDLE_HINT_DELAY,
+        inputMode: CONFIG.INPUT_MODE,
+        renderer: CONFIG.RENDERER
+    };
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        for (const [key, { id, parse }] of Object.entries(SETTING_CONTROLS)) {
+            // Only values the dialog offers; anything else keeps the default
+            const options = [...document.getElementById(id).options].map(option => option.value);
+            if (saved && saved[key] !== undefined && options.includes(String(saved[key]))) {
+                settings[key] = parse(String(saved[key]));
+            }
+        }
+    } catch (e) {
+        console.warn('Could not load settings:', e);
+    }
+    applySettings();
+}
+
+function saveSettings() {
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.warn('Could not save settings:', e);
+    }
+}
+
+function applySettings() {
+    const speed = ANIMATION_SPEEDS[settings.animationSpeed] || 1;
+    CONFIG.ANIMATION_DELAY = Math.round(baseDelays.animation * speed);
+    CONFIG.SWAP_DELAY = Math.round(baseDelays.swap * speed);
+    // The pop, shake and sink animations in style.css keep pace
+    document.body.style.setProperty('--step-time', `${CONFIG.ANIMATION_DELAY}ms`);
+
+    CONFIG.HINT_COUNT = settings.hintCount;
+    CONFIG.IDLE_HINT_DELAY = settings.idleHintDelay;
+    CONFIG.INPUT_MODE = settings.inputMode;
+    CONFIG.RENDERER = settings.renderer;
+
+    for (const [key, { id }] of Object.entries(SETTING_CONTROLS)) {
+        document.getElementById(id).value = String(settings[key]);
+    }
+}
+
+function changeSetting(key, value) {
+    settings[key] = value;
+    saveSettings();
+    applySettings();
+
+    if (key === 'renderer') {
+        setRenderer(value);
+    } else if (key === 'idleHintDelay') {
+        scheduleIdleHint();
+    }
+}
+
+// ===========================================
+// DIALOG
+// ===========================================
+
+function showSettings() {
+    settingsConfirmEl.hidden = true;
+    newProfileForm.hidden = true;
+    progressMessagesEl.innerHTML = '';
+    renderProfileChooser();
+    showModal(settingsModal);
+}
+
+// Asks before doing something that loses progress
+function askToConfirm(message, buttonText, action) {
+    confirmAction = action;
+    document.getElementById('settings-confirm-text').textContent = message;
+    document.getElementById('confirm-ok-btn').textContent = buttonText;
+    settingsConfirmEl.hidden = false;
+    document.getElementById('confirm-cancel-btn').focus();
+}
+
+function cancelConfirm() {
+    settingsConfirmEl.hidden = true;
+    confirmAction = null;
+    profileSelect.focus();
+}
+
+// ===========================================
+// PROFILES
+// ===========================================
+
+function renderProfileChooser() {
+    profileSelect.innerHTML = '';
+    for (const [id, profile] of Object.entries(saveData.profiles)) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = profile.name;
+        option.selected = id === saveData.activeProfile;
+        profileSelect.appendChild(option);
+    }
+    document.getElementById('delete-profile-btn').disabled = profileSelect.options.length <= 1;
+}
+
+function activeProfileName() {
+    return saveData.profiles[saveData.activeProfile].name;
+}
+
+function addNewProfile() {
+    const name = newProfileName.value.trim();
+    if (name === '') {
+        newProfileName.focus();
+        return;
+    }
+    createNewProfile(name);
+}
+
+async function importProgress(file) {
+    const { added, problems } = await importProgressFile(file);
+    // Importing plays as an imported profile, which closes the dialog
+    if (added > 0) showSettings();
+
+    progressMessagesEl.innerHTML = '';
+    const messages = added > 0 ? [`Imported ${added} ${added === 1 ? 'profile' : 'profiles'}.`] : [];
+    if (problems.length > 0) {
+        messages.push(`${added > 0 ? 'Left out' : "Couldn't import"}: ${problems.slice(0, 5).join('; ')}`
+            + (problems.length > 5 ? `; ...and ${problems.length - 5} more` : ''));
+    }
+    messages.forEach((message, index) => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        item.classList.toggle('problem', index > 0 || added === 0);
+        progressMessagesEl.appendChild(item);
+    });
+}
+
+// ===========================================
+// EVENT LISTENERS
+// ===========================================
+
+for (const [key, { id, parse }] of Object.entries(SETTING_CONTROLS)) {
+    document.getElementById(id).addEventListener('change', event => changeSetting(key, parse(event.target.value)));
+}
+
+document.getElementById('settings-btn').addEventListener('click', showSettings);
+document.getElementById('settings-close-btn').addEventListener('click', () => hideModal(settingsModal));
+document.getElementById('confirm-cancel-btn').addEventListener('click', cancelConfirm);
+document.getElementById('confirm-ok-btn').addEventListener('click', () => {
+    const action = confirmAction;
+    confirmAction = null;
+    settingsConfirmEl.hidden = true;
+    action();
+});
+
+profileSelect.addEventListener('change', () => switchProfile(profileSelect.value));
+document.getElementById('new-profile-btn').addEventListener('click', () => {
+    newProfileForm.hidden = false;
+    newProfileName.value = '';
+    newProfileName.focus();
+});
+document.getElementById('add-profile-btn').addEventListener('click', addNewProfile);
+newProfileName.addEventListener('keydown', event => {
+    if (event.key === 'Enter') addNewProfile();
+});
+document.getElementById('delete-profile-btn').addEventListener('click', () => {
+    askToConfirm(`Delete ${activeProfileName()} and all of its progress? This can't be undone.`, 'Delete',
+        () => deleteActiveProfile());
+});
+document.getElementById('reset-progress-btn').addEventListener('click', () => {
+    askToConfirm(`Clear the stars on every level and the endless high scores of ${activeProfileName()}? This can't be undone.`,
+        'Reset', () => resetProgress());
+});
+document.getElementById('export-progress-btn').addEventListener('click', () => exportProgress());
+document.getElementById('import-progress-btn').addEventListener('click', () => {
+    document.getElementById('progress-file-input').click();
+});
+document.getElementById('progress-file-input').addEventListener('change', event => {
+    const [file] = event.target.files;
+    if (file) {
+        importProgress(file);
+    }
+    event.target.value = '';
+});
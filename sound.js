@@ -0,0 +1,246 @@
+/* ===========================================
+   GEM GARDEN - Sound
+   ===========================================
+
+   Sound effects and background music, all made with
+   the Web Audio API as the game runs; there are no
+   sound files to load.
+
+     playSound('match', 4)  a cue, 4 semitones higher
+
+   Cues: select, invalid, match (pitched up for each
+   cascade step), goal, complete, failed and star. The
+   music is a short arpeggio loop scheduled a little
+   ahead of the audio clock.
+
+   Effects and music each have their own volume, under
+   a mute switch, all set in the settings dialog and
+   saved. Browsers only allow sound after the player
+   has done something, so nothing plays until the first
+   click or key press.
+
+   =========================================== */
+
+const SOUND_STORAGE_KEY = 'gemGardenSound';
+const SOUND_DEFAULTS = { muted: false, music: 0.4, effects: 0.7 };
+const MIDDLE_C = 261.63;  // Hz; cue and music notes are semitones from here
+
+// Each cue is a list of notes: { note, start, duration, type, volume, slideTo }
+const SOUND_CUES = {
+    select: [
+        { note: 12, duration: 0.08, type: 'sine', volume: 0.25 }
+    ],
+    invalid: [
+        { note: -5, slideTo: -9, duration: 0.12, type: 'square', volume: 0.08 },
+        { note: -5, slideTo: -9, start: 0.14, duration: 0.12, type: 'square', volume: 0.08 }
+    ],
+    match: [
+        { note: 7, duration: 0.12, type: 'triangle', volume: 0.3 },
+        { note: 12, start: 0.05, duration: 0.15, type: 'triangle', volume: 0.25 }
+    ],
+    goal: [
+        { note: 12, duration: 0.12, type: 'sine', volume: 0.3 },
+        { note: 16, start: 0.1, duration: 0.12, type: 'sine', volume: 0.3 },
+        { note: 19, start: 0.2, duration: 0.25, type: 'sine', volume: 0.3 }
+    ],
+    complete: [
+        { note: 0, duration: 0.15, type: 'triangle', volume: 0.35 },
+        { note: 4, start: 0.15, duration: 0.15, type: 'triangle', volume: 0.35 },
+        { note: 7, start: 0.3, duration: 0.15, type: 'triangle', volume: 0.35 },
+        { note: 12, start: 0.45, duration: 0.5, type: 'triangle', volume: 0.4 }
+    ],
+    failed: [
+        { note: 7, duration: 0.25, type: 'triangle', volume: 0.3 },
+        { note: 3, start: 0.25, duration: 0.25, type: 'triangle', volume: 0.3 },
+        { note: -2, slideTo: -5, start: 0.5, duration: 0.6, type: 'triangle', volume: 0.3 }
+    ],
+    star: [
+        { note: 19, duration: 0.3, type: 'sine', volume: 0.3 },
+        { note: 31, start: 0.02, duration: 0.2, type: 'sine', volume: 0.1 }
+    ]
+};
+
+// C, Am, F, G, one bar each, played as eighth-note arpeggios over a bass note
+const MUSIC_CHORDS = [[0, 4, 7], [-3, 0, 4], [-7, -3, 0], [-5, -1, 2]];
+const MUSIC_ARPEGGIO = [0, 1, 2, 1, 0, 1, 2, 1];  // Which chord note each eighth plays
+const MUSIC_STEP = 0.3;  // Seconds per eighth note
+const MUSIC_LOOKAHEAD = 0.5;  // Seconds of music scheduled ahead
+
+let soundSettings = { ...SOUND_DEFAULTS };
+let audio = null;  // { context, master, effects, music } once sound has been allowed
+let musicTimer = null;
+let musicStep = 0;
+let musicTime = 0;  // When, on the audio clock, the next eighth note plays
+
+const soundMuteInput = document.getElementById('sound-mute');
+const musicVolumeInput = document.getElementById('music-volume');
+const effectsVolumeInput = document.getElementById('effects-volume');
+
+// ===========================================
+// MIXER
+// ===========================================
+
+// Sets up the mixer on the first click or key press; browsers keep audio off until then
+function unlockAudio() {
+    if (!audio) {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+
+        const context = new AudioContext();
+        const master = context.createGain();
+        const effects = context.createGain();
+        const music = context.createGain();
+        effects.connect(master);
+        music.connect(master);
+        master.connect(context.destination);
+        audio = { context, master, effects, music };
+        updateMixer();
+    }
+    if (audio.context.state === 'suspended' && !document.hidden) {
+        audio.context.resume();
+    }
+}
+
+function updateMixer() {
+    if (!audio) return;
+    const now = audio.context.currentTime;
+    audio.master.gain.setTargetAtTime(soundSettings.muted ? 0 : 1, now, 0.02);
+    audio.effects.gain.setTargetAtTime(soundSettings.effects, now, 0.02);
+    audio.music.gain.setTargetAtTime(soundSettings.music, now, 0.02);
+
+    if (soundSettings.muted || soundSettings.music === 0) {
+        stopMusic();
+    } else {
+        startMusic();
+    }
+}
+
+function pitch(semitones) {
+    return MIDDLE_C * 2 ** (semitones / 12);
+}
+
+// One note with a quick attack and a fading tail
+function playTone(bus, time, { note, slideTo, duration, type = 'sine', volume = 0.3 }) {
+    const oscillator = audio.context.createOscillator();
+    const envelope = audio.context.createGain();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(pitch(note), time);
+    if (slideTo !== undefined) {
+        oscillator.frequency.exponentialRampToValueAtTime(pitch(slideTo), time + duration);
+    }
+    envelope.gain.setValueAtTime(0.0001, time);
+    envelope.gain.exponentialRampToValueAtTime(volume, time + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+    oscillator.connect(envelope);
+    envelope.connect(bus);
+    oscillator.start(time);
+    oscillator.stop(time + duration + 0.05);
+}
+
+// ===========================================
+// EFFECTS
+// ===========================================
+
+function playSound(name, transpose = 0) {
+    if (!audio || soundSettings.muted || soundSettings.effects === 0) return;
+    const now = audio.context.currentTime;
+    for (const tone of SOUND_CUES[name]) {
+        playTone(audio.effects, now + (tone.start || 0), {
+            ...tone,
+            note: tone.note + transpose,
+            slideTo: tone.slideTo === undefined ? undefined : tone.slideTo + transpose
+        });
+    }
+}
+
+// ===========================================
+// MUSIC
+// ===========================================
+
+function startMusic() {
+    if (!audio || musicTimer) return;
+    musicTime = audio.context.currentTime + 0.1;
+    musicTimer = setInterval(scheduleMusic, 100);
+    scheduleMusic();
+}
+
+function stopMusic() {
+    clearInterval(musicTimer);
+    musicTimer = null;
+}
+
+function scheduleMusic() {
+    // After the tab was hidden, pick up from now rather than catching up
+    musicTime = Math.max(musicTime, audio.context.currentTime);
+
+    while (musicTime < audio.context.currentTime + MUSIC_LOOKAHEAD) {
+        const beat = musicStep % MUSIC_ARPEGGIO.length;
+        const chord = MUSIC_CHORDS[Math.floor(musicStep / MUSIC_ARPEGGIO.length) % MUSIC_CHORDS.length];
+
+        playTone(audio.music, musicTime, { note: chord[MUSIC_ARPEGGIO[beat]] + 12, duration: MUSIC_STEP * 0.9, volume: 0.12 });
+        if (beat === 0) {
+            playTone(audio.music, musicTime, { note: chord[0] - 12, duration: MUSIC_STEP * 7, type: 'triangle', volume: 0.15 });
+        }
+        musicStep++;
+        musicTime += MUSIC_STEP;
+    }
+}
+
+// ===========================================
+// SETTINGS
+// ===========================================
+
+function loadSoundSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SOUND_STORAGE_KEY));
+        if (saved) soundSettings = { ...SOUND_DEFAULTS, ...saved };
+    } catch (e) {
+        console.warn('Could not load sound settings:', e);
+    }
+    showSoundSettings();
+}
+
+function saveSoundSettings() {
+    try {
+        localStorage.setItem(SOUND_STORAGE_KEY, JSON.stringify(soundSettings));
+    } catch (e) {
+        console.warn('Could not save sound settings:', e);
+    }
+}
+
+function setSoundSetting(key, value) {
+    soundSettings[key] = value;
+    saveSoundSettings();
+    showSoundSettings();
+    updateMixer();
+}
+
+function showSoundSettings() {
+    soundMuteInput.checked = soundSettings.muted;
+    musicVolumeInput.value = Math.round(soundSettings.music * 100);
+    effectsVolumeInput.value = Math.round(soundSettings.effects * 100);
+}
+
+// ===========================================
+// EVENT LISTENERS
+// ===========================================
+
+document.addEventListener('pointerdown', unlockAudio);
+document.addEventListener('keydown', unlockAudio);
+document.addEventListener('visibilitychange', () => {
+    if (!audio) return;
+    if (document.hidden) {
+        audio.context.suspend();
+    } else {
+        audio.context.resume();
+    }
+});
+
+soundMuteInput.addEventListener('change', () => setSoundSetting('muted', soundMuteInput.checked));
+musicVolumeInput.addEventListener('input', () => setSoundSetting('music', musicVolumeInput.value / 100));
+effectsVolumeInput.addEventListener('input', () => {
+    setSoundSetting('effects', effectsVolumeInput.value / 100);
+    playSound('select');
+});
+loadSoundSettings();
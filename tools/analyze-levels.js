@@ -0,0 +1,222 @@
+/* ===========================================
+   GEM GARDEN - Level Analyzer
+   ===========================================
+
+   Plays every level many times with bots and reports
+   how each one fares, to catch levels that can't be
+   won or win themselves before they ship:
+
+     node tools/analyze-levels.js [options]
+
+     --games N    games per level and bot (default 200)
+     --pack FILE  a level pack's JSON file instead of
+                  levels.js
+     --level ID   only this level (repeatable)
+     --bot NAME   only this bot (repeatable)
+     --seed N     first board seed (default 1); game i
+                  uses seed + i unless the level fixes
+                  its own seed
+     --json       print the raw results as JSON
+
+   Bots:
+   - random: any valid move
+   - greedy: the move worth the most points
+   - goals:  the move the hint system ranks best for
+             the level's goals (hints.js)
+
+   Timed levels are played as if each move took
+   SECONDS_PER_MOVE, with the game's cascade bonus
+   added back. Levels with a tutorial are played as
+   they are replayed, without its fixed board.
+
+   =========================================== */
+
+const fs = require('fs');
+const { createEngine } = require('../engine.js');
+const { createRng } = require('../rng.js');
+const { normalizeGoals, allGoalsComplete, countIngredientGoal } = require('../goals.js');
+const { rankMoves } = require('../hints.js');
+const LEVELS = require('../levels.js');
+
+const SECONDS_PER_MOVE = 4;
+const TIME_BONUS_PER_CASCADE = 1;  // matches CONFIG in game.js
+
+// A level is flagged when its best bot rarely wins or its worst bot nearly always does
+const HARD_WIN_RATE = 0.05;
+const TRIVIAL_WIN_RATE = 0.95;
+
+const BOTS = {
+    random: (engine, goals, rng) => {
+        const moves = engine.findValidMoves();
+        return moves[Math.floor(rng.next() * moves.length)];
+    },
+    greedy: engine => rankMoves(engine)[0],
+    goals: (engine, goals) => rankMoves(engine, goals)[0]
+};
+
+// ===========================================
+// PLAYING
+// ===========================================
+
+/**
+ * Plays one game of a level with a bot and returns
+ * { won, score, stars, movesLeft }; movesLeft is in
+ * seconds on timed levels.
+ */
+function playGame(level, bot, seed) {
+    const goals = normalizeGoals(level.goals);
+    // As on a replay: a tutorial's fixed board and drops only show with it (playLevel() in game.js)
+    const fixedBoard = !level.tutorial;
+    const engine = createEngine({
+        seed: level.seed ?? seed,
+        layout: level.layout,
+        rows: level.rows,
+        cols: level.cols,
+        board: fixedBoard ? level.board : undefined,
+        drops: fixedBoard ? level.drops : undefined,
+        ingredients: countIngredientGoal(goals)
+    });
+    engine.newBoard();
+
+    const botRng = createRng(seed);
+    const timed = Boolean(level.timeLimit);
+    let turnsLeft = timed ? level.timeLimit : level.moves;
+
+    while (turnsLeft > 0 && !allGoalsComplete(goals, engine.getStats())) {
+        const move = BOTS[bot](engine, goals, botRng);
+        if (!move) break;
+
+        const { events } = engine.trySwap({ row: move.row1, col: move.col1 }, { row: move.row2, col: move.col2 });
+        if (timed) {
+            const cascades = events.filter(event => event.type === 'match' && event.cascade > 1).length;
+            turnsLeft -= SECONDS_PER_MOVE - cascades * TIME_BONUS_PER_CASCADE;
+        } else {
+            turnsLeft--;
+        }
+    }
+
+    const stats = engine.getStats();
+    const won = allGoalsComplete(goals, stats);
+    return {
+        won,
+        score: stats.score,
+        stars: won ? level.starThresholds.filter(threshold => stats.score >= threshold).length : 0,
+        movesLeft: Math.max(0, turnsLeft)
+    };
+}
+
+function analyzeLevel(level, bot, games, firstSeed) {
+    const results = [];
+    for (let i = 0; i < games; i++) {
+        results.push(playGame(level, bot, firstSeed + i));
+    }
+
+    const wins = results.filter(result => result.won);
+    const starCounts = [0, 1, 2, 3].map(stars => results.filter(result => result.stars === stars).length);
+    return {
+        level: level.id,
+        bot,
+        games,
+        winRate: wins.length / games,
+        averageScore: average(results.map(result => result.score)),
+        stars: starCounts.map(count => count / games),
+        averageMovesLeft: wins.length > 0 ? average(wins.map(result => result.movesLeft)) : null
+    };
+}
+
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// ===========================================
+// REPORT
+// ===========================================
+
+function flagLevel(rows) {
+    const rates = rows.map(row => row.winRate);
+    if (Math.max(...rates) < HARD_WIN_RATE) return 'TOO HARD';
+    if (Math.min(...rates) > TRIVIAL_WIN_RATE) return 'TRIVIAL';
+    return '';
+}
+
+function printReport(levels, results) {
+    const percent = value => `${Math.round(value * 100)}%`.padStart(5);
+    console.log('Level  Bot      Win   Avg score  0*    1*    2*    3*    Moves left');
+
+    for (const level of levels) {
+        const rows = results.filter(result => result.level === level.id);
+        rows.forEach((row, index) => {
+            const name = index === 0 ? `${level.id}`.padEnd(6) : ''.padEnd(6);
+            const movesLeft = row.averageMovesLeft === null ? '-' : row.averageMovesLeft.toFixed(1);
+            console.log([
+                name,
+                row.bot.padEnd(7),
+                percent(row.winRate),
+                `${Math.round(row.averageScore)}`.padStart(10),
+                ...row.stars.map(percent),
+                movesLeft.padStart(11)
+            ].join(' '));
+        });
+
+        const flag = flagLevel(rows);
+        if (flag) console.log(`       ^ ${level.name}: ${flag}`);
+    }
+}
+
+// ===========================================
+// COMMAND LINE
+// ===========================================
+
+function parseArgs(args) {
+    const options = { games: 200, pack: null, levels: [], bots: [], seed: 1, json: false };
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--games': options.games = Number(args[++i]); break;
+            case '--pack': options.pack = args[++i]; break;
+            case '--level': options.levels.push(Number(args[++i])); break;
+            case '--bot': options.bots.push(args[++i]); break;
+            case '--seed': options.seed = Number(args[++i]); break;
+            case '--json': options.json = true; break;
+            default: throw new Error(`Unknown option: ${args[i]}`);
+        }
+    }
+
+    for (const bot of options.bots) {
+        if (!BOTS[bot]) throw new Error(`Unknown bot: ${bot} (try ${Object.keys(BOTS).join(', ')})`);
+    }
+    if (!(options.games > 0)) throw new Error('--games needs a positive number');
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const packLevels = options.pack ? JSON.parse(fs.readFileSync(options.pack, 'utf8')).levels : LEVELS;
+    const levels = options.levels.length > 0
+        ? packLevels.filter(level => options.levels.includes(level.id))
+        : packLevels;
+    const bots = options.bots.length > 0 ? options.bots : Object.keys(BOTS);
+
+    const results = [];
+    for (const level of levels) {
+        for (const bot of bots) {
+            results.push(analyzeLevel(level, bot, options.games, options.seed));
+        }
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        printReport(levels, results);
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (e) {
+        console.error(e.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { playGame, analyzeLevel, BOTS };
@@ -0,0 +1,78 @@
+/* ===========================================
+   GEM GARDEN - Level Validator
+   ===========================================
+
+   Checks levels.js, or level packs' JSON files (see
+   packs.js), against the level format and lists every
+   problem:
+
+     node tools/validate-levels.js [packs/community.json ...]
+
+   Exits with status 1 if anything is wrong.
+
+     node tools/validate-levels.js --fixtures
+
+   checks the validator itself: every broken level in
+   tools/fixtures/invalid-levels.json must be reported
+   at the paths it expects, without the validator
+   throwing.
+
+   =========================================== */
+
+const fs = require('fs');
+const path = require('path');
+const { validateLevels, validateLevel, validatePack, formatLevelError } = require('../schema.js');
+
+const FIXTURES_FILE = path.join(__dirname, 'fixtures', 'invalid-levels.json');
+
+function main() {
+    const files = process.argv.slice(2);
+    let problems = 0;
+
+    if (files[0] === '--fixtures') {
+        process.exitCode = checkFixtures() === 0 ? 0 : 1;
+        return;
+    }
+
+    if (files.length === 0) {
+        problems += report('levels.js', validateLevels(require('../levels.js')));
+    }
+    for (const file of files) {
+        problems += report(file, validatePack(JSON.parse(fs.readFileSync(file, 'utf8'))));
+    }
+    process.exitCode = problems === 0 ? 0 : 1;
+}
+
+function report(source, errors) {
+    for (const error of errors) {
+        console.error(`${source}: ${formatLevelError(error)}`);
+    }
+    console.log(`${source}: ${errors.length === 0 ? 'OK' : `${errors.length} problem(s) found`}`);
+    return errors.length;
+}
+
+// Each fixture is { about, level, expect: [paths that must be reported] }
+function checkFixtures() {
+    const fixtures = JSON.parse(fs.readFileSync(FIXTURES_FILE, 'utf8'));
+    let failures = 0;
+
+    for (const { about, level, expect } of fixtures) {
+        let errors;
+        try {
+            errors = validateLevel(level);
+        } catch (e) {
+            console.error(`${about}: the validator threw ${e.message}`);
+            failures++;
+            continue;
+        }
+        const missing = expect.filter(expected => !errors.some(error => error.path === expected));
+        if (missing.length > 0) {
+            console.error(`${about}: nothing reported at ${missing.join(', ')}`);
+            failures++;
+        }
+    }
+    console.log(`fixtures: ${failures === 0 ? `OK (${fixtures.length})` : `${failures} of ${fixtures.length} failed`}`);
+    return failures;
+}
+
+main();
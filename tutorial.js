@@ -0,0 +1,118 @@
+/* ===========================================
+   GEM GARDEN - Tutorials
+   ===========================================
+
+   Plays a level's scripted `tutorial` steps (see
+   schema.js) over the board. Each step shows a callout
+   and dims everything but the cells it points at:
+
+     { text, swap: [[6, 4], [7, 4]] }
+         only this swap can be made; the step ends
+         once it has played out
+     { text, highlight: [[7, 2], [7, 3]] }
+         points at cells; "Got it" moves on
+     { text, goals: true }
+         points at the goals panel
+
+   While a step is showing, no other gem can be
+   picked. A level's tutorial runs until the level
+   has been completed once, and can be skipped.
+
+   =========================================== */
+
+let tutorialSteps = [];
+let tutorialIndex = 0;
+
+const tutorialCalloutEl = document.getElementById('tutorial-callout');
+const tutorialTextEl = document.getElementById('tutorial-text');
+const tutorialNextBtn = document.getElementById('tutorial-next-btn');
+
+function startTutorial(steps) {
+    tutorialSteps = steps || [];
+    tutorialIndex = 0;
+    showTutorialStep();
+}
+
+function endTutorial() {
+    tutorialSteps = [];
+    tutorialIndex = 0;
+    showTutorialStep();
+    updateUndoButton();
+    scheduleIdleHint();
+}
+
+function isTutorialActive() {
+    return tutorialIndex < tutorialSteps.length;
+}
+
+function currentTutorialStep() {
+    return isTutorialActive() ? tutorialSteps[tutorialIndex] : null;
+}
+
+function nextTutorialStep() {
+    tutorialIndex++;
+    if (isTutorialActive()) {
+        showTutorialStep();
+    } else {
+        endTutorial();
+    }
+}
+
+// ===========================================
+// INPUT
+// ===========================================
+
+// Whether the player may pick this gem right now
+function tutorialAllowsGem(row, col) {
+    const step = currentTutorialStep();
+    if (!step) return true;
+    return Boolean(step.swap) && step.swap.some(([r, c]) => r === row && c === col);
+}
+
+// The board isn't dimmed while a swap plays out
+function tutorialSwapStarted() {
+    boardElement.classList.remove('tutorial-dim');
+}
+
+// Called once a swap has played out; a valid one ends the step that asked for it
+function tutorialSwapDone(from, to, valid) {
+    const step = currentTutorialStep();
+    if (!step) return;
+
+    const cells = [from, to].map(({ row, col }) => `${row},${col}`).sort().join();
+    const wanted = (step.swap || []).map(([row, col]) => `${row},${col}`).sort().join();
+    if (valid && cells === wanted) {
+        nextTutorialStep();
+    } else {
+        // The board was redrawn, so point at the cells again
+        showTutorialStep();
+    }
+}
+
+// ===========================================
+// DISPLAY
+// ===========================================
+
+function showTutorialStep() {
+    const step = currentTutorialStep();
+
+    document.querySelectorAll('.tutorial-focus').forEach(element => element.classList.remove('tutorial-focus'));
+    boardElement.classList.toggle('tutorial-dim', Boolean(step));
+    tutorialCalloutEl.classList.toggle('hidden', !step);
+    if (!step) return;
+
+    tutorialTextEl.textContent = step.text;
+    tutorialNextBtn.hidden = Boolean(step.swap);
+    goalsPanelEl.classList.toggle('tutorial-focus', Boolean(step.goals));
+
+    for (const [row, col] of [...(step.swap || []), ...(step.highlight || [])]) {
+        getGemElement(row, col).classList.add('tutorial-focus');
+    }
+}
+
+// ===========================================
+// EVENT LISTENERS
+// ===========================================
+
+tutorialNextBtn.addEventListener('click', nextTutorialStep);
+document.getElementById('tutorial-skip-btn').addEventListener('click', endTutorial);